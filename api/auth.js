@@ -0,0 +1,82 @@
+// api/auth.js - Optional client authentication for /api/vision
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export class AuthError extends Error {
+    constructor(message, code = 'unauthorized') {
+        super(message);
+        this.name = 'AuthError';
+        this.status = 401;
+        this.code = code;
+    }
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+// Two ways in, both optional:
+//  - static API keys (X-API-Key header) for scripts and trusted clients
+//  - short-lived tokens signed with tokenSecret, handed to the page by
+//    GET /api/token and bound to the client IP that requested them
+// With neither configured, every request is let through.
+export function createVisionAuth({ apiKeys = [], tokenSecret = null, tokenTtl = 300 } = {}) {
+    const required = apiKeys.length > 0 || !!tokenSecret;
+
+    function sign(payload) {
+        return createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+    }
+
+    function issueToken(ip) {
+        const expiresAt = Date.now() + tokenTtl * 1000;
+        const payload = `${expiresAt}.${randomBytes(8).toString('base64url')}`;
+        return {
+            token: `${payload}.${sign(`${payload}.${ip}`)}`,
+            expiresAt
+        };
+    }
+
+    function verifyToken(token, ip) {
+        const [expiresAt, nonce, signature] = token.split('.');
+        if (!expiresAt || !nonce || !signature) {
+            throw new AuthError('Malformed token', 'invalid_token');
+        }
+        if (!safeEqual(signature, sign(`${expiresAt}.${nonce}.${ip}`))) {
+            throw new AuthError('Invalid token', 'invalid_token');
+        }
+        if (Date.now() > Number(expiresAt)) {
+            throw new AuthError('Token expired', 'token_expired');
+        }
+    }
+
+    // Returns the identity used for per-key rate limits, or null when anonymous
+    function authenticate(req) {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const match = apiKeys.find(key => safeEqual(key, apiKey));
+            if (!match) {
+                throw new AuthError('Invalid API key', 'invalid_api_key');
+            }
+            return `key:${createHash('sha256').update(match).digest('hex').slice(0, 12)}`;
+        }
+
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme === 'Bearer' && token && tokenSecret) {
+            verifyToken(token, req.ip);
+            return null; // Tokens are per page load, limits fall back to the IP
+        }
+
+        if (required) {
+            throw new AuthError('Authentication required');
+        }
+        return null;
+    }
+
+    return {
+        required,
+        tokensEnabled: !!tokenSecret,
+        issueToken,
+        authenticate
+    };
+}
@@ -0,0 +1,272 @@
+// api/create-app.js - Express app factory shared by server.js and server-local.js
+import express from 'express';
+import cors from 'cors';
+import { existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createProviderRegistry } from './providers/index.js';
+import { createVisionHandler } from './vision.js';
+import { createTMDbRouter, TMDB_BASE_URL } from './tmdb.js';
+import { createMockTMDbRouter, TMDB_FIXTURES_DIR } from './tmdb-mock.js';
+import { PerceptualHashCache } from './phash-cache.js';
+import { createImageUploadParser, getUploadLimits } from './image-upload.js';
+import { createVisionAuth } from './auth.js';
+import { createRateLimiter } from './rate-limit.js';
+
+const projectRoot = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// What the page loads from staticDir. Nothing else there is served, so
+// package.json, .env and the Vision credentials stay private.
+const PUBLIC_FILES = ['index.html', 'app.js'];
+const PUBLIC_DIRS = ['css', 'src'];
+
+// Everything environment-specific can be injected, so tests can build an app
+// with fake OCR providers and a fake TMDb fetcher and never touch the network.
+export function createApp({
+    port = 8001,
+    serverName = 'WebAR Movie Scanner v3',
+    env = process.env,
+    credentialsPath = 'google-vision-credentials.json',
+    visionClient = null,
+    ocrProviders = null,
+    tmdbApiKey = env.VITE_TMDB_API_KEY,
+    tmdbFetch = fetch,
+    tmdbBaseUrl = TMDB_BASE_URL,
+    tmdbMode = env.TMDB_MODE || 'proxy',
+    tmdbFixturesDir = TMDB_FIXTURES_DIR,
+    staticDir = projectRoot,
+    verbose = false
+} = {}) {
+    const app = express();
+
+    // Unset means English; an empty value lets Google Vision auto-detect
+    const languageHints = (env.VISION_LANGUAGE_HINTS ?? 'en').split(',').map(hint => hint.trim()).filter(Boolean);
+
+    const providers = createProviderRegistry({
+        credentialsPath,
+        visionClient,
+        tesseractLanguage: env.TESSERACT_LANG || 'eng',
+        tesseractMaxWorkers: Number(env.TESSERACT_MAX_WORKERS ?? 2),
+        languageHints,
+        primary: env.OCR_PROVIDER || 'google',
+        fallback: env.OCR_FALLBACK || 'tesseract',
+        providers: ocrProviders
+    });
+
+    const visionCache = new PerceptualHashCache({
+        ttl: Number(env.VISION_CACHE_TTL_MS ?? 60000),
+        maxEntries: Number(env.VISION_CACHE_MAX_ENTRIES ?? 50),
+        maxDistance: Number(env.VISION_CACHE_MAX_DISTANCE ?? 5)
+    });
+
+    // 'mock' serves /api/tmdb from recorded fixtures, with no key or network
+    const tmdbMock = tmdbMode === 'mock';
+    const tmdbReady = tmdbMock || !!tmdbApiKey;
+
+    const uploadLimits = getUploadLimits(env);
+    const visionHandler = createVisionHandler({
+        providers,
+        cache: visionCache,
+        uploadLimits,
+        recordDir: env.VISION_RECORD_DIR || null,
+        languageHints
+    });
+
+    const visionAuth = createVisionAuth({
+        apiKeys: (env.VISION_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+        tokenSecret: env.VISION_TOKEN_SECRET || null,
+        tokenTtl: Number(env.VISION_TOKEN_TTL_SEC ?? 300)
+    });
+
+    const visionLimiter = createRateLimiter({
+        perIpPerMinute: Number(env.VISION_RATE_LIMIT_PER_IP ?? 30),
+        perKeyPerMinute: Number(env.VISION_RATE_LIMIT_PER_KEY ?? 120),
+        dailyCap: Number(env.VISION_DAILY_CAP ?? 0)
+    });
+
+    // Rejects before the upload is read, answering 401 or 429 with a code
+    // the client can act on. The vision handler refunds the scan on a cache hit.
+    function guardVision(req, res, next) {
+        try {
+            const clientId = visionAuth.authenticate(req);
+            res.locals.refundScan = visionLimiter.check({ ip: req.ip, clientId });
+            next();
+        } catch (error) {
+            if (!error.status) return next(error);
+
+            console.log(`🚫 Vision request rejected (${error.status} ${error.code}): ${error.message}`);
+            if (error.retryAfter) {
+                res.set('Retry-After', String(error.retryAfter));
+            }
+            res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code,
+                retryAfter: error.retryAfter
+            });
+        }
+    }
+
+    if (env.TRUST_PROXY) {
+        app.set('trust proxy', env.TRUST_PROXY === 'true' ? true : env.TRUST_PROXY);
+    }
+
+    app.locals.port = port;
+    app.locals.providers = providers;
+    app.locals.visionCache = visionCache;
+
+    app.use(cors());
+
+    if (verbose) {
+        app.use((req, res, next) => {
+            if (req.path.startsWith('/api/')) {
+                console.log(`➡️ ${req.method} ${req.originalUrl}`);
+            }
+            next();
+        });
+    }
+
+    // Vision API endpoint - registered before the global JSON parser so it
+    // gets its own, larger, upload limit
+    app.post('/api/vision', guardVision, createImageUploadParser(uploadLimits), async (req, res) => {
+        try {
+            await visionHandler(req, res);
+        } catch (error) {
+            console.error('❌ Vision API handler error:', error);
+            if (verbose) {
+                console.error('❌ Error stack:', error.stack);
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Vision API processing failed',
+                details: verbose ? error.message : undefined
+            });
+        }
+    });
+
+    app.use(express.json({ limit: '100kb' }));
+    app.get('/', (req, res) => res.sendFile(join(staticDir, 'index.html')));
+    for (const file of PUBLIC_FILES) {
+        app.get(`/${file}`, (req, res) => res.sendFile(join(staticDir, file)));
+    }
+    for (const dir of PUBLIC_DIRS) {
+        app.use(`/${dir}`, express.static(join(staticDir, dir)));
+    }
+
+    // Health check
+    app.get('/api/health', (req, res) => {
+        const hasCredentials = existsSync(credentialsPath);
+        const ocrProviders = providers.getProviderStatus();
+        const hasOcrProvider = Object.values(ocrProviders).some(Boolean);
+
+        const health = {
+            status: 'OK',
+            server: serverName,
+            port: port,
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+
+            // Component Status
+            components: {
+                tmdb: {
+                    configured: tmdbReady,
+                    mode: tmdbMode,
+                    status: tmdbMock ? 'mock' : tmdbApiKey ? 'ready' : 'missing_api_key'
+                },
+                vision: {
+                    configured: hasOcrProvider,
+                    credentials: hasCredentials,
+                    providers: ocrProviders,
+                    cache: visionCache.getStats(),
+                    authRequired: visionAuth.required,
+                    limits: visionLimiter.getStats(),
+                    status: hasOcrProvider ? 'ready' : 'incomplete'
+                },
+                server: {
+                    status: 'running',
+                    memory: process.memoryUsage(),
+                    node_version: process.version
+                }
+            },
+
+            // Overall readiness
+            ready: tmdbReady && hasOcrProvider
+        };
+
+        console.log('🏥 Health check requested:', {
+            ready: health.ready,
+            tmdb: health.components.tmdb.status,
+            vision: health.components.vision.status
+        });
+
+        res.json(health);
+    });
+
+    // Public settings for the frontend - the TMDb key itself never leaves the server
+    app.get('/api/env', (req, res) => {
+        res.json({
+            tmdbConfigured: tmdbReady,
+            tmdbMode,
+            NODE_ENV: env.NODE_ENV || 'development'
+        });
+    });
+
+    // Short-lived token for /api/vision, fetched by the page at load time
+    app.get('/api/token', (req, res) => {
+        if (!visionAuth.tokensEnabled) {
+            return res.json({
+                success: true,
+                required: visionAuth.required,
+                token: null
+            });
+        }
+
+        res.json({
+            success: true,
+            required: visionAuth.required,
+            ...visionAuth.issueToken(req.ip)
+        });
+    });
+
+    // Test Vision API endpoint
+    app.get('/api/test-vision', (req, res) => {
+        const hasCredentials = existsSync(credentialsPath);
+        const ocrProviders = providers.getProviderStatus();
+
+        res.json({
+            success: true,
+            visionConfigured: Object.values(ocrProviders).some(Boolean),
+            providers: ocrProviders,
+            credentialsFile: hasCredentials ? 'found' : 'missing',
+            timestamp: new Date().toISOString(),
+            instructions: [
+                hasCredentials ? '✅ Credentials OK' : `⚠️ No ${credentialsPath} - using Tesseract fallback`
+            ]
+        });
+    });
+
+    // Fixture-backed TMDb for offline work. Outside production it is also
+    // reachable at /api/tmdb-mock, for the client-side CONFIG.TMDB.USE_MOCK switch.
+    const mockOptions = {
+        fixturesDir: tmdbFixturesDir,
+        latency: Number(env.TMDB_MOCK_LATENCY_MS ?? 0),
+        failRate: Number(env.TMDB_MOCK_FAIL_RATE ?? 0),
+        rateLimit: Number(env.TMDB_MOCK_RATE_LIMIT ?? 0)
+    };
+
+    if (tmdbMock || env.NODE_ENV !== 'production') {
+        app.use('/api/tmdb-mock', createMockTMDbRouter(mockOptions));
+    }
+
+    // TMDb proxy - adds the API key, rate limits and caches
+    app.use('/api/tmdb', tmdbMock
+        ? createMockTMDbRouter(mockOptions)
+        : createTMDbRouter({
+            apiKey: tmdbApiKey,
+            fetcher: tmdbFetch,
+            baseUrl: tmdbBaseUrl
+        }));
+
+    return app;
+}
@@ -0,0 +1,152 @@
+// api/image-upload.js - Image upload parsing and validation for /api/vision
+import express from 'express';
+import multer from 'multer';
+
+const MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export class ImageValidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImageValidationError';
+        this.status = status;
+    }
+}
+
+export function getUploadLimits(env = process.env) {
+    return {
+        maxBytes: Number(env.VISION_MAX_UPLOAD_BYTES ?? 8 * 1024 * 1024),
+        maxDimension: Number(env.VISION_MAX_DIMENSION ?? 4096),
+        minDimension: Number(env.VISION_MIN_DIMENSION ?? 32)
+    };
+}
+
+// Identify the format from its magic bytes rather than trusting Content-Type
+export function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+function readPngSize(buffer) {
+    // IHDR is always the first chunk
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readJpegSize(buffer) {
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function readWebpSize(buffer) {
+    if (buffer.length < 30) return null;
+    const chunk = buffer.toString('ascii', 12, 16);
+
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+export function validateImage(buffer, limits = getUploadLimits()) {
+    if (!buffer || buffer.length === 0) {
+        throw new ImageValidationError('No image provided');
+    }
+
+    if (buffer.length > limits.maxBytes) {
+        throw new ImageValidationError(`Image is ${buffer.length} bytes, limit is ${limits.maxBytes}`, 413);
+    }
+
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new ImageValidationError('Unsupported image format, expected JPEG, PNG or WebP', 415);
+    }
+
+    const size = type === 'image/png' ? readPngSize(buffer)
+        : type === 'image/jpeg' ? readJpegSize(buffer)
+        : readWebpSize(buffer);
+
+    if (!size) {
+        throw new ImageValidationError(`Could not read ${type} dimensions, the image looks corrupt`);
+    }
+
+    const { width, height } = size;
+    if (width > limits.maxDimension || height > limits.maxDimension) {
+        throw new ImageValidationError(`Image is ${width}x${height}, maximum is ${limits.maxDimension}px per side`, 413);
+    }
+    if (width < limits.minDimension || height < limits.minDimension) {
+        throw new ImageValidationError(`Image is ${width}x${height}, minimum is ${limits.minDimension}px per side`);
+    }
+
+    return { type, width, height, bytes: buffer.length };
+}
+
+// Pulls the image bytes out of whichever body format the client used:
+// multipart "image" field, a raw image body, or legacy base64 JSON.
+export function getImageBuffer(req) {
+    if (req.file) {
+        return req.file.buffer;
+    }
+    if (Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+
+    const image = req.body?.image;
+    if (typeof image === 'string' && image.length > 0) {
+        // Accept full data URLs as well as bare base64
+        return Buffer.from(image.replace(/^data:[^,]*,/, ''), 'base64');
+    }
+    return null;
+}
+
+// Body parser for the vision route: multipart, raw image and base64 JSON bodies,
+// each capped at the route's own size limit.
+export function createImageUploadParser({ maxBytes } = getUploadLimits()) {
+    const multipart = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxBytes, files: 1 } }).single('image');
+    const raw = express.raw({ type: MIME_TYPES, limit: maxBytes });
+    // base64 adds a third, plus room for the other JSON fields
+    const json = express.json({ limit: Math.ceil(maxBytes * 4 / 3) + 1024 });
+
+    return (req, res, next) => {
+        const parser = req.is('multipart/form-data') ? multipart
+            : req.is('application/json') ? json
+            : raw;
+
+        parser(req, res, (error) => {
+            if (!error) return next();
+
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large';
+            res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                error: tooLarge ? `Image exceeds the ${maxBytes} byte upload limit` : `Invalid upload: ${error.message}`
+            });
+        });
+    };
+}
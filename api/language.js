@@ -0,0 +1,61 @@
+// api/language.js - OCR language hints and script/language detection
+
+const LANGUAGE_CODE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const MAX_HINTS = 5;
+
+// Accepts an array or a comma-separated string ("ja,en"). Returns null when
+// nothing was given, so the deployment default applies.
+export function parseLanguageHints(value) {
+    if (value === undefined || value === null) return null;
+
+    const hints = (Array.isArray(value) ? value : String(value).split(','))
+        .map(hint => String(hint).trim())
+        .filter(Boolean);
+
+    const invalid = hints.find(hint => !LANGUAGE_CODE.test(hint));
+    if (invalid) {
+        throw new Error(`Invalid language hint: ${invalid}`);
+    }
+    if (hints.length > MAX_HINTS) {
+        throw new Error(`At most ${MAX_HINTS} language hints are allowed`);
+    }
+    return hints;
+}
+
+// Checked in order, so kana wins over Han for Japanese text
+const SCRIPTS = [
+    { script: 'Hangul', pattern: /\p{Script=Hangul}/u, language: 'ko' },
+    { script: 'Japanese', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' },
+    { script: 'Han', pattern: /\p{Script=Han}/u, language: 'zh' },
+    { script: 'Devanagari', pattern: /\p{Script=Devanagari}/u, language: 'hi' },
+    { script: 'Arabic', pattern: /\p{Script=Arabic}/u, language: 'ar' },
+    { script: 'Hebrew', pattern: /\p{Script=Hebrew}/u, language: 'he' },
+    { script: 'Thai', pattern: /\p{Script=Thai}/u, language: 'th' },
+    { script: 'Cyrillic', pattern: /\p{Script=Cyrillic}/u, language: 'ru' },
+    { script: 'Greek', pattern: /\p{Script=Greek}/u, language: 'el' },
+    { script: 'Latin', pattern: /\p{Script=Latin}/u, language: null }
+];
+
+export function detectScript(text) {
+    if (!text) return null;
+    return SCRIPTS.find(({ pattern }) => pattern.test(text))?.script || null;
+}
+
+// Language of the poster: what the OCR provider detected, else what the
+// title's script implies, else the first hint the request was made with.
+export function detectLanguage(fullTextAnnotation, title, languageHints = []) {
+    const script = detectScript(title);
+
+    const detected = fullTextAnnotation?.pages?.[0]?.property?.detectedLanguages || [];
+    const best = [...detected].sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+    if (best?.languageCode) {
+        return { code: best.languageCode, script, source: 'ocr' };
+    }
+
+    const fromScript = SCRIPTS.find(entry => entry.script === script)?.language;
+    if (fromScript) {
+        return { code: fromScript, script, source: 'script' };
+    }
+
+    return { code: languageHints[0] || null, script, source: 'hint' };
+}
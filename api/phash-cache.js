@@ -0,0 +1,91 @@
+// api/phash-cache.js - Perceptual-hash cache for OCR results
+import { Jimp } from 'jimp';
+import { HASH_WIDTH, HASH_HEIGHT, computeDHash, hammingDistance as countDifferentBits } from '../src/image-hash.js';
+
+// 64-bit difference hash, as a hex string. Near-identical frames (same poster,
+// slight jitter) differ by only a few bits.
+export async function computeImageHash(imageBuffer) {
+    const image = await Jimp.read(imageBuffer);
+    image.resize({ w: HASH_WIDTH, h: HASH_HEIGHT });
+
+    return computeDHash(image.bitmap.data).toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(hashA, hashB) {
+    return countDifferentBits(BigInt(`0x${hashA}`), BigInt(`0x${hashB}`));
+}
+
+export class PerceptualHashCache {
+    constructor({ ttl = 60000, maxEntries = 50, maxDistance = 5 } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.maxDistance = maxDistance;
+        this.entries = [];
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    isEnabled() {
+        return this.ttl > 0 && this.maxEntries > 0;
+    }
+
+    prune() {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => entry.expires > now);
+    }
+
+    // Returns the closest unexpired entry within maxDistance for the given scope
+    get(hash, scope = 'default') {
+        if (!this.isEnabled()) return null;
+        this.prune();
+
+        let best = null;
+        for (const entry of this.entries) {
+            if (entry.scope !== scope) continue;
+
+            const distance = hammingDistance(hash, entry.hash);
+            if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+                best = { ...entry, distance };
+            }
+        }
+
+        if (best) this.hits++;
+        else this.misses++;
+        return best;
+    }
+
+    set(hash, value, scope = 'default') {
+        if (!this.isEnabled()) return;
+        this.prune();
+
+        // Entries are kept oldest first
+        while (this.entries.length >= this.maxEntries) {
+            this.entries.shift();
+        }
+
+        this.entries.push({
+            hash,
+            scope,
+            value,
+            createdAt: Date.now(),
+            expires: Date.now() + this.ttl
+        });
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    getStats() {
+        this.prune();
+        return {
+            enabled: this.isEnabled(),
+            entries: this.entries.length,
+            maxEntries: this.maxEntries,
+            ttl: this.ttl,
+            maxDistance: this.maxDistance,
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
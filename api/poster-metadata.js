@@ -0,0 +1,134 @@
+// api/poster-metadata.js - Year and credits hints from the full poster text
+
+const MIN_YEAR = 1900;
+
+// Words that show up in billing blocks and taglines but never in a person's name
+const NON_NAME_WORDS = new Set([
+    'THE', 'A', 'AN', 'AND', 'OF', 'IN', 'ON', 'AT', 'TO', 'BY', 'FOR', 'WITH', 'FROM', 'IS', 'WAS', 'IT',
+    'FILM', 'FILMS', 'PICTURE', 'PICTURES', 'PRESENTS', 'PRESENT', 'PRODUCTION', 'PRODUCTIONS', 'STUDIOS',
+    'ENTERTAINMENT', 'RELEASE', 'RELEASING', 'MOVIE', 'POSTER', 'OFFICIAL', 'TRAILER', 'COMING', 'SOON',
+    'THEATERS', 'THEATRES', 'CINEMAS', 'ONLY', 'NOW', 'PLAYING', 'SUMMER', 'WINTER', 'SPRING', 'FALL',
+    'IMAX', 'REALD', '3D', 'RATED', 'PG', 'PG-13', 'STARRING', 'DIRECTED', 'WRITTEN', 'PRODUCED', 'MUSIC',
+    'SCREENPLAY', 'STORY', 'CASTING', 'EDITED', 'EXECUTIVE', 'PRODUCER', 'PRODUCERS', 'DIRECTOR',
+    'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER',
+    'NOVEMBER', 'DECEMBER'
+]);
+
+const ROLE_KEYWORDS = /\b(DIRECTED|WRITTEN|PRODUCED|MUSIC|SCREENPLAY|STORY|CASTING|EDITED|EXECUTIVE|CINEMATOGRAPHY|PHOTOGRAPHY|COSTUME|DESIGNER)\b/i;
+
+// A likely release year: copyright lines first, then a year in parentheses,
+// then the latest plausible year anywhere on the poster.
+export function extractYear(fullText) {
+    const maxYear = new Date().getFullYear() + 3;
+    const inRange = year => year >= MIN_YEAR && year <= maxYear;
+
+    const patterns = [
+        /(?:©|\(c\)|copyright)\s*((?:19|20)\d{2})/i,
+        /\(((?:19|20)\d{2})\)/
+    ];
+
+    for (const pattern of patterns) {
+        const match = fullText.match(pattern);
+        if (match && inRange(Number(match[1]))) {
+            return Number(match[1]);
+        }
+    }
+
+    const years = (fullText.match(/\b(?:19|20)\d{2}\b/g) || []).map(Number).filter(inRange);
+    return years.length > 0 ? Math.max(...years) : null;
+}
+
+function isNameWord(word) {
+    // "McCONAUGHEY", "O'BRIEN", "JEAN-LUC", "DiCAPRIO"
+    return /^\p{Lu}[\p{L}'’.-]*$/u.test(word) && !NON_NAME_WORDS.has(word.toUpperCase());
+}
+
+function toName(words) {
+    return words.join(' ');
+}
+
+// "DIRECTED BY CHRISTOPHER NOLAN", "A FILM BY DENIS VILLENEUVE", "A RIDLEY SCOTT FILM"
+export function extractDirector(fullText) {
+    const patterns = [
+        /directed\s+by\s+([^\n]+)/i,
+        /a\s+film\s+by\s+([^\n]+)/i,
+        /\ban?\s+([^\n]+?)\s+film\b/i
+    ];
+
+    for (const pattern of patterns) {
+        const match = fullText.match(pattern);
+        if (!match) continue;
+
+        // Take name words until the next credit keyword
+        const words = [];
+        for (const word of match[1].trim().split(/\s+/)) {
+            if (!isNameWord(word) || words.length >= 4) break;
+            words.push(word);
+        }
+        if (words.length >= 2) return toName(words);
+    }
+    return null;
+}
+
+// Splits a run of name words into names: two or three words are one name,
+// longer even runs are billed side by side in pairs ("AL PACINO JAMES CAAN")
+function splitNames(words) {
+    if (!words.every(isNameWord)) return [];
+    if (words.length >= 2 && words.length <= 3) return [words];
+    if (words.length >= 4 && words.length % 2 === 0) {
+        const names = [];
+        for (let i = 0; i < words.length; i += 2) {
+            names.push(words.slice(i, i + 2));
+        }
+        return names;
+    }
+    return [];
+}
+
+// Billing names: a "STARRING" line, otherwise short lines of capitalised
+// name words that aren't the title or a credit line.
+export function extractActors(fullText, excludeTexts = [], limit = 6) {
+    const excluded = excludeTexts.filter(Boolean).map(text => text.toUpperCase());
+    const lines = fullText.split('\n').map(line => line.trim()).filter(Boolean);
+    const actors = [];
+
+    const addName = (words) => {
+        const name = toName(words);
+        const upper = name.toUpperCase();
+        if (excluded.some(text => text.includes(upper) || upper.includes(text))) return;
+        if (!actors.some(actor => actor.toUpperCase() === upper)) actors.push(name);
+    };
+
+    const starring = fullText.match(/starring\s+([^\n]+)/i);
+    if (starring) {
+        // Names separated by commas or "and"
+        starring[1].split(/\s*(?:,|\band\b|&)\s*/i)
+            .flatMap(part => splitNames(part.trim().split(/\s+/)))
+            .forEach(addName);
+    }
+
+    for (const line of lines) {
+        if (ROLE_KEYWORDS.test(line) || /starring/i.test(line)) continue;
+
+        splitNames(line.split(/\s+/)).forEach(addName);
+    }
+
+    return actors.slice(0, limit);
+}
+
+export function extractPosterMetadata(fullText, titleCandidates = []) {
+    if (!fullText) {
+        return { year: null, director: null, actors: [] };
+    }
+
+    // Only the chosen title is excluded: the runner-up candidates on a
+    // billed poster are usually the actor names themselves
+    const director = extractDirector(fullText);
+    const title = titleCandidates[0]?.text;
+
+    return {
+        year: extractYear(fullText),
+        director,
+        actors: extractActors(fullText, [title, director])
+    };
+}
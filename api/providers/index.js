@@ -0,0 +1,52 @@
+// api/providers/index.js - OCR provider registry and selection
+import { GoogleVisionProvider } from './google-vision.js';
+import { TesseractProvider } from './tesseract.js';
+
+// Builds the set of OCR providers for one app instance.
+// `providers` replaces the built-in ones entirely (e.g. fakes in tests);
+// `visionClient` injects a ready-made Google ImageAnnotatorClient.
+export function createProviderRegistry({
+    credentialsPath = 'google-vision-credentials.json',
+    visionClient = null,
+    tesseractLanguage = 'eng',
+    tesseractMaxWorkers = 2,
+    languageHints = ['en'],
+    primary = 'google',
+    fallback = 'tesseract',
+    providers = null
+} = {}) {
+    const registry = providers || {
+        google: new GoogleVisionProvider({ keyFilename: credentialsPath, client: visionClient, languageHints }),
+        tesseract: new TesseractProvider({ language: tesseractLanguage, maxWorkers: tesseractMaxWorkers })
+    };
+
+    function getProvider(name) {
+        return registry[name] || null;
+    }
+
+    function getProviderStatus() {
+        return Object.fromEntries(
+            Object.entries(registry).map(([name, provider]) => [name, provider.isAvailable()])
+        );
+    }
+
+    // Ordered list of providers to try for a request: the primary, then the
+    // fallback (unless "none"). A request may ask for a specific provider,
+    // in which case no fallback is used.
+    function resolveProviderChain(requested) {
+        if (requested) {
+            const provider = getProvider(requested);
+            if (!provider) {
+                throw new Error(`Unknown OCR provider: ${requested}`);
+            }
+            return [provider];
+        }
+
+        return [primary, fallback]
+            .filter((name, index, names) => name && name !== 'none' && names.indexOf(name) === index)
+            .map(getProvider)
+            .filter(Boolean);
+    }
+
+    return { getProvider, getProviderStatus, resolveProviderChain };
+}
@@ -0,0 +1,138 @@
+// api/providers/tesseract.js - Offline OCR provider backed by tesseract.js
+import { createWorker } from 'tesseract.js';
+
+// BCP-47 hints (as used by Google Vision) to Tesseract traineddata names
+const TESSERACT_LANGUAGES = {
+    en: 'eng', fr: 'fra', de: 'deu', es: 'spa', it: 'ita', pt: 'por', nl: 'nld',
+    sv: 'swe', pl: 'pol', tr: 'tur', ru: 'rus', uk: 'ukr', el: 'ell', ar: 'ara',
+    he: 'heb', hi: 'hin', th: 'tha', ja: 'jpn', ko: 'kor', zh: 'chi_sim',
+    'zh-TW': 'chi_tra', 'zh-Hant': 'chi_tra'
+};
+
+export function toTesseractLanguage(languageHints) {
+    const codes = languageHints
+        .map(hint => TESSERACT_LANGUAGES[hint] || TESSERACT_LANGUAGES[hint.split('-')[0]])
+        .filter(Boolean);
+    return [...new Set(codes)].join('+');
+}
+
+export class TesseractProvider {
+    constructor({ language = 'eng', maxWorkers = 2 } = {}) {
+        this.name = 'tesseract';
+        this.language = language;
+        this.maxWorkers = maxWorkers;
+        // One worker per language combination, e.g. "eng+jpn", least recently
+        // used first. Each entry is { worker: Promise, jobs }.
+        this.workers = new Map();
+    }
+
+    isAvailable() {
+        // Runs in-process, no credentials needed
+        return true;
+    }
+
+    // Language hints come from the client, so the number of combinations is
+    // open-ended; only the maxWorkers most recently used stay alive.
+    acquireWorker(language = this.language) {
+        let entry = this.workers.get(language);
+        if (entry) {
+            this.workers.delete(language);
+        } else {
+            entry = { worker: this.startWorker(language), jobs: 0 };
+
+            // Allow a later call to retry if start-up failed
+            entry.worker.catch(() => {
+                if (this.workers.get(language) === entry) this.workers.delete(language);
+            });
+        }
+
+        entry.jobs++;
+        this.workers.set(language, entry);
+        this.evictIdleWorkers();
+        return entry;
+    }
+
+    releaseWorker(entry) {
+        entry.jobs--;
+        this.evictIdleWorkers();
+    }
+
+    async startWorker(language) {
+        console.log(`🔤 Starting Tesseract worker (${language})...`);
+        // Without an errorHandler tesseract.js throws job failures
+        // (e.g. language data download errors) and takes down the server
+        const worker = await createWorker({
+            errorHandler: error => console.error('❌ Tesseract worker error:', error)
+        });
+        await worker.loadLanguage(language);
+        await worker.initialize(language);
+        console.log('✅ Tesseract worker ready');
+        return worker;
+    }
+
+    // Workers still recognizing are kept past the limit and evicted once
+    // their last job finishes
+    evictIdleWorkers() {
+        for (const [language, entry] of this.workers) {
+            if (this.workers.size <= this.maxWorkers) break;
+            if (entry.jobs > 0) continue;
+
+            this.workers.delete(language);
+            console.log(`🔤 Stopping Tesseract worker (${language})`);
+            entry.worker
+                .then(worker => worker.terminate())
+                .catch(() => {});
+        }
+    }
+
+    // Maps Tesseract output onto the Vision response shape so the same
+    // title extraction pipeline can consume it.
+    async detect(imageBuffer, { languageHints = [] } = {}) {
+        const entry = this.acquireWorker(toTesseractLanguage(languageHints) || this.language);
+
+        let data;
+        try {
+            const worker = await entry.worker;
+            console.log('🔤 Running Tesseract OCR...');
+            ({ data } = await worker.recognize(imageBuffer));
+        } finally {
+            this.releaseWorker(entry);
+        }
+
+        const words = (data.words || []).filter(word => word.text && word.text.trim());
+        if (words.length === 0) {
+            return { textAnnotations: [], fullTextAnnotation: null };
+        }
+
+        const textAnnotations = [
+            { description: data.text, boundingPoly: { vertices: [] } },
+            ...words.map(word => ({
+                description: word.text.trim(),
+                confidence: word.confidence / 100,
+                boundingPoly: {
+                    vertices: [
+                        { x: word.bbox.x0, y: word.bbox.y0 },
+                        { x: word.bbox.x1, y: word.bbox.y0 },
+                        { x: word.bbox.x1, y: word.bbox.y1 },
+                        { x: word.bbox.x0, y: word.bbox.y1 }
+                    ]
+                }
+            }))
+        ];
+
+        return {
+            textAnnotations,
+            fullTextAnnotation: { text: data.text, pages: [] }
+        };
+    }
+
+    async terminate() {
+        const entries = [...this.workers.values()];
+        this.workers.clear();
+
+        for (const entry of entries) {
+            const worker = await entry.worker;
+            await worker.terminate();
+        }
+    }
+}
@@ -0,0 +1,98 @@
+// api/rate-limit.js - Per-client rate limits and a daily cap for paid OCR calls
+
+export class RateLimitError extends Error {
+    constructor(message, retryAfter, code = 'rate_limited') {
+        super(message);
+        this.name = 'RateLimitError';
+        this.status = 429;
+        this.code = code;
+        this.retryAfter = retryAfter; // seconds
+    }
+}
+
+// Fixed one-minute windows per IP and per API key, plus one daily counter
+// shared by everybody. A limit of 0 disables that check.
+export function createRateLimiter({ perIpPerMinute = 30, perKeyPerMinute = 120, dailyCap = 0 } = {}) {
+    const windows = new Map();
+    const daily = { day: null, count: 0 };
+
+    function hit(key, limit) {
+        if (!limit) return;
+
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || now >= window.resetTime) {
+            window = { count: 0, resetTime: now + 60000 };
+            windows.set(key, window);
+        }
+
+        if (window.count >= limit) {
+            throw new RateLimitError(
+                `Rate limit of ${limit} scans per minute reached`,
+                Math.ceil((window.resetTime - now) / 1000)
+            );
+        }
+        window.count++;
+        return window;
+    }
+
+    function hitDaily() {
+        if (!dailyCap) return null;
+
+        const today = new Date().toISOString().slice(0, 10);
+        if (daily.day !== today) {
+            daily.day = today;
+            daily.count = 0;
+        }
+
+        if (daily.count >= dailyCap) {
+            const midnight = new Date(`${today}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+            throw new RateLimitError(
+                `Daily limit of ${dailyCap} scans reached`,
+                Math.ceil((midnight - Date.now()) / 1000),
+                'daily_cap_reached'
+            );
+        }
+        daily.count++;
+        return daily.day;
+    }
+
+    // Drop finished windows so the map doesn't grow with every IP ever seen
+    function prune() {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (now >= window.resetTime) windows.delete(key);
+        }
+    }
+
+    // Counts one scan and returns a function that gives it back, for
+    // requests that turn out not to need the OCR provider (cache hits)
+    function check({ ip, clientId }) {
+        if (windows.size > 1000) prune();
+
+        const window = clientId
+            ? hit(clientId, perKeyPerMinute)
+            : hit(`ip:${ip}`, perIpPerMinute);
+        const day = hitDaily();
+
+        let refunded = false;
+        return () => {
+            if (refunded) return;
+            refunded = true;
+
+            if (window && window.count > 0) window.count--;
+            if (day && daily.day === day && daily.count > 0) daily.count--;
+        };
+    }
+
+    function getStats() {
+        return {
+            perIpPerMinute,
+            perKeyPerMinute,
+            dailyCap,
+            usedToday: daily.day === new Date().toISOString().slice(0, 10) ? daily.count : 0
+        };
+    }
+
+    return { check, getStats };
+}
@@ -0,0 +1,332 @@
+// api/title-extraction.js - Generic poster title extraction from OCR blocks
+
+// Number of ranked title candidates returned to the client
+const MAX_CANDIDATES = 5;
+
+// Blocks are only combined when their text heights are within this ratio
+const MIN_COMBINED_HEIGHT_RATIO = 0.6;
+
+// ...and when each one is within this many text heights of another, so
+// titles on neighbouring posters aren't read as one
+const MAX_COMBINED_GAP_RATIO = 1.5;
+
+// With a focus point (where the user tapped), blocks in line with it score
+// higher so the poster under the finger beats its neighbours. Distances are
+// in frame heights: sideways the bonus is gone at about half a poster's width,
+// while the title can be anywhere above or below the finger.
+const FOCUS_WEIGHT = 60;
+const FOCUS_HORIZONTAL_RANGE = 0.3;
+const FOCUS_VERTICAL_WEIGHT = 20;
+const FOCUS_VERTICAL_RANGE = 0.8;
+
+// Accepts { x, y } or "x,y" with both in 0..1 of the frame. Returns null when
+// nothing was given.
+export function parseFocusPoint(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const [x, y] = typeof value === 'object'
+        ? [value.x, value.y]
+        : String(value).split(',');
+    const point = { x: Number(x), y: Number(y) };
+
+    if (![point.x, point.y].every(coordinate => Number.isFinite(coordinate) && coordinate >= 0 && coordinate <= 1)) {
+        throw new Error('Invalid focus point, expected x,y between 0 and 1');
+    }
+    return point;
+}
+
+// `focus` is an optional { x, y } point in 0..1 of the frame, see parseFocusPoint
+export function extractGenericTitle(textBlocks, fullText, fullTextAnnotation, focus = null) {  
+    console.log('🎯 Extracting title using generic logic...');  
+      
+    // Step 1: Filter out obvious junk (no movie-specific filtering)  
+    const cleanBlocks = textBlocks.filter(block => {  
+        const text = block.description.trim();  
+          
+        // Filter out file extensions  
+        if (text.match(/\.(jpg|jpeg|png|gif|webp|bmp|pdf|doc|txt)$/i)) {  
+            console.log(`❌ Filtered out filename: "${text}"`);  
+            return false;  
+        }  
+          
+        // Filter out very long random strings (likely OCR noise)  
+        if (text.match(/^[a-zA-Z0-9]{25,}$/)) {  
+            console.log(`❌ Filtered out long random string: "${text}"`);  
+            return false;  
+        }  
+          
+        // Filter out obvious UI elements  
+        const uiElements = ['Delete', 'Backspace', 'Enter', 'Tab', 'Ctrl', 'Alt', 'Shift'];  
+        if (uiElements.some(ui => text === ui)) {  
+            console.log(`❌ Filtered out UI element: "${text}"`);  
+            return false;  
+        }  
+          
+        // Keep text that has at least some letters  
+        if (!text.match(/\p{L}/u)) {  
+            console.log(`❌ Filtered out non-alphabetic: "${text}"`);  
+            return false;  
+        }  
+          
+        // Filter out very short noise  
+        if (text.length < 1) {  
+            console.log(`❌ Filtered out too short: "${text}"`);  
+            return false;  
+        }  
+          
+        return true;  
+    });  
+      
+    console.log(`📋 Clean blocks: ${cleanBlocks.length}/${textBlocks.length}`);  
+    cleanBlocks.forEach((block, i) => {  
+        console.log(`   ${i + 1}. "${block.description}"`);  
+    });  
+      
+    if (cleanBlocks.length === 0) {  
+        console.log('⚠️ No clean text blocks found');  
+        return { title: null, candidates: [] };
+    }  
+      
+    // Step 2: Use spatial and size-based scoring  
+    const imageSize = getImageSize(fullTextAnnotation, textBlocks);
+    const rankedCandidates = identifyTitleBySpatialLogic(cleanBlocks, imageSize, focus);  
+      
+    // Step 3: Apply generic text cleanup, dropping candidates that clean to the same title
+    const seenTitles = new Set();
+    const candidates = [];
+    for (const candidate of rankedCandidates) {
+        const cleanedText = applyGenericCleanup(candidate.rawText);
+        if (!cleanedText || seenTitles.has(cleanedText)) continue;
+
+        seenTitles.add(cleanedText);
+        candidates.push({ ...candidate, text: cleanedText });
+        if (candidates.length >= MAX_CANDIDATES) break;
+    }
+
+    const cleanedTitle = candidates[0]?.text || null;
+
+    console.log(`🎬 Final title: "${cleanedTitle}"`);
+    return { title: cleanedTitle, candidates };
+}  
+  
+// Image dimensions from the OCR response. Vision reports them per page; when a
+// provider does not, the extent of the detected text is the best estimate.
+export function getImageSize(fullTextAnnotation, textBlocks = []) {
+    const page = fullTextAnnotation?.pages?.[0];
+    if (page?.width && page?.height) {
+        return { width: page.width, height: page.height };
+    }
+
+    const vertices = textBlocks.flatMap(block => block.boundingPoly?.vertices || []);
+    const box = getBoundingBox(vertices);
+    if (!box) return null;
+
+    return {
+        width: Math.max(box.x + box.width, 1),
+        height: Math.max(box.y + box.height, 1)
+    };
+}
+
+export function identifyTitleBySpatialLogic(blocks, imageSize = null, focus = null) {  
+    if (blocks.length === 0) return [];  
+      
+    // Text height relative to the largest text on the frame, so the
+    // scores don't depend on the camera resolution
+    const maxHeight = Math.max(1, ...blocks.map(block => getBoundingBox(block.boundingPoly?.vertices || [])?.height || 0));
+      
+    // Score blocks based on spatial characteristics  
+    const scoredBlocks = blocks.map(block => {  
+        const text = block.description.trim().toUpperCase();  
+        const box = getBoundingBox(block.boundingPoly?.vertices || []);
+          
+        let score = 0;  
+          
+        // Size scoring - larger text is more likely to be a title  
+        if (box) {  
+            const relativeHeight = box.height / maxHeight;
+              
+            if (relativeHeight > 0.8) score += 50;  
+            else if (relativeHeight > 0.5) score += 30;  
+            else if (relativeHeight > 0.3) score += 15;  
+        }  
+          
+        // Position scoring - upper portion of image more likely to contain titles  
+        if (box && imageSize) {  
+            const relativeY = (box.y + box.height / 2) / imageSize.height;
+            const relativeX = (box.x + box.width / 2) / imageSize.width;
+              
+            // Prefer the upper 40% of the frame  
+            if (relativeY < 0.4) score += 40;  
+            else if (relativeY < 0.6) score += 20;  
+              
+            if (focus) {
+                score += scoreFocusProximity(relativeX, relativeY, focus, imageSize);
+            } else if (relativeX > 0.2 && relativeX < 0.8) {
+                // Slight preference for horizontally centered text  
+                score += 10;
+            }
+        }  
+          
+        // Text characteristics scoring  
+        // Any script counts: kanji, hangul and accented letters are letters too
+        const letterCount = (text.match(/[\p{L}\p{M}]/gu) || []).length;  
+        const letterRatio = letterCount / Array.from(text).length;  
+          
+        // Prefer text that's mostly letters  
+        if (letterRatio > 0.8) score += 30;  
+        else if (letterRatio > 0.6) score += 15;  
+          
+        // Length scoring - titles are usually 1-6 words  
+        const wordCount = text.split(/\s+/).length;  
+        if (wordCount >= 1 && wordCount <= 4) score += 25;  
+        else if (wordCount <= 6) score += 10;  
+          
+        // Avoid very short single characters unless they could be titles  
+        if (text.length === 1 && !text.match(/\p{L}/u)) score -= 20;  
+          
+        return { block, text, score, height: box?.height || 0 };
+    });  
+      
+    // Sort by score and try to combine adjacent high-scoring blocks  
+    scoredBlocks.sort((a, b) => b.score - a.score);  
+      
+    console.log('🏆 Top scoring text blocks:');  
+    scoredBlocks.slice(0, 5).forEach((item, i) => {  
+        console.log(`   ${i + 1}. "${item.text}" (score: ${item.score})`);  
+    });  
+      
+    // Rank single blocks and combinations of adjacent blocks  
+    return findBestTextCombination(scoredBlocks);  
+}  
+  
+// Bonus for a block centred at (relativeX, relativeY) near the focus point
+function scoreFocusProximity(relativeX, relativeY, focus, imageSize) {
+    const aspect = imageSize.width / imageSize.height;
+    const dx = Math.abs(relativeX - focus.x) * aspect;
+    const dy = Math.abs(relativeY - focus.y);
+
+    return Math.round(
+        FOCUS_WEIGHT * Math.max(0, 1 - dx / FOCUS_HORIZONTAL_RANGE) +
+        FOCUS_VERTICAL_WEIGHT * Math.max(0, 1 - dy / FOCUS_VERTICAL_RANGE)
+    );
+}
+
+// Returns every single block and adjacent-block combination as a candidate,
+// best first. Single blocks come first so they win ties, as before.
+export function findBestTextCombination(scoredBlocks) {  
+    if (scoredBlocks.length === 0) return [];  
+      
+    const candidates = scoredBlocks.map(item => buildCandidate([item], item.score));
+      
+    // Try combinations of 2-4 adjacent blocks  
+    for (let i = 0; i < Math.min(scoredBlocks.length, 5); i++) {  
+        for (let j = i + 1; j < Math.min(scoredBlocks.length, i + 4); j++) {  
+            const items = scoredBlocks.slice(i, j + 1);
+
+            // A title is set in one type size; don't glue it to billing text
+            const heights = items.map(item => item.height);
+            if (Math.min(...heights) < Math.max(...heights) * MIN_COMBINED_HEIGHT_RATIO) continue;
+            if (!areBlocksClose(items, Math.max(...heights) * MAX_COMBINED_GAP_RATIO)) continue;
+
+            const combinedText = items  
+                .map(item => item.text)  
+                .join(' ');  
+              
+            const combinedScore = items  
+                .reduce((sum, item) => sum + item.score, 0) / (j - i + 1);  
+              
+            // Bonus for reasonable length combinations  
+            const wordCount = combinedText.split(/\s+/).length;  
+            let lengthBonus = 0;  
+            if (wordCount >= 2 && wordCount <= 4) lengthBonus = 20;  
+            else if (wordCount <= 6) lengthBonus = 10;  
+              
+            const finalScore = combinedScore + lengthBonus;  
+              
+            candidates.push(buildCandidate(items, finalScore));
+        }  
+    }  
+      
+    // Stable sort keeps the earlier candidate on equal scores
+    candidates.sort((a, b) => b.score - a.score);
+
+    console.log(`🔗 Best combination: "${candidates[0].rawText}" (score: ${candidates[0].score})`);  
+    return candidates;
+}
+
+function areBlocksClose(items, maxGap) {
+    const boxes = items.map(item => getBoundingBox(item.block.boundingPoly?.vertices || []));
+    if (boxes.some(box => !box)) return true;
+
+    return boxes.every((box, i) => boxes.some((other, j) => i !== j && getBoxGap(box, other) <= maxGap));
+}
+
+// Shortest distance between the edges of two boxes, 0 when they overlap
+function getBoxGap(a, b) {
+    const dx = Math.max(0, b.x - (a.x + a.width), a.x - (b.x + b.width));
+    const dy = Math.max(0, b.y - (a.y + a.height), a.y - (b.y + b.height));
+    return Math.hypot(dx, dy);
+}
+
+function buildCandidate(items, score) {
+    return {
+        rawText: items.map(item => item.text).join(' '),
+        score: Math.round(score * 100) / 100,
+        boundingBox: getBoundingBox(items.flatMap(item => item.block.boundingPoly?.vertices || [])),
+        blocks: items.map(item => ({
+            text: item.block.description,
+            confidence: item.block.confidence,
+            boundingBox: getBoundingBox(item.block.boundingPoly?.vertices || [])
+        }))
+    };
+}
+
+// Axis-aligned box around a set of Vision vertices (missing x/y mean 0)
+function getBoundingBox(vertices) {
+    if (vertices.length === 0) return null;
+
+    const xs = vertices.map(v => v.x || 0);
+    const ys = vertices.map(v => v.y || 0);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+
+    return {
+        x,
+        y,
+        width: Math.max(...xs) - x,
+        height: Math.max(...ys) - y
+    };
+}  
+  
+export function applyGenericCleanup(text) {  
+    if (!text) return null;  
+      
+    let cleaned = text;  
+      
+    // Basic text cleanup without movie-specific knowledge  
+    cleaned = cleaned  
+        .replace(/[^\p{L}\p{M}\p{N}\s\-'’]/gu, ' ')  // Keep letters (any script), numbers, spaces, hyphens, apostrophes  
+        .replace(/\s+/g, ' ')         // Multiple spaces to single space  
+        .trim();                      // Remove leading/trailing spaces  
+      
+    // Remove common poster junk that's not movie-specific  
+    cleaned = cleaned  
+        .replace(/^(THE\s+)?POSTER\s*/i, '')     // Remove "POSTER" prefix  
+        .replace(/\s*MOVIE\s*$/i, '')            // Remove "MOVIE" suffix  
+        .replace(/^OFFICIAL\s*/i, '')            // Remove "OFFICIAL" prefix  
+        .replace(/\s*TRAILER\s*$/i, '')          // Remove "TRAILER" suffix  
+        .replace(/\s*COMING\s+SOON\s*$/i, '')    // Remove "COMING SOON"  
+        .replace(/\s*IN\s+THEATERS\s*$/i, '')    // Remove "IN THEATERS"  
+        .trim();  
+      
+    // Final validation  
+    if (cleaned.length < 1) {  
+        console.log('⚠️ Cleaned title too short, returning null');  
+        return null;  
+    }  
+      
+    // Convert to title case for consistency (a no-op for scripts without case)  
+    cleaned = cleaned.toLowerCase().replace(/(^|[\s\-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());  
+      
+    return cleaned;  
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+// api/tmdb-mock.js - Fixture-backed stand-in for the TMDb API, for offline development and tests
+import express from 'express';
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const TMDB_FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tmdb');
+
+// Sections of a details fixture that TMDb only returns when appended or
+// requested as a sub-resource
+const APPENDABLE = ['credits', 'videos', 'release_dates', 'content_ratings', 'watch/providers', 'recommendations', 'similar'];
+
+// TMDb's own error bodies, so the client sees the same shapes as in production
+const ERRORS = {
+    401: { status_code: 7, status_message: 'Invalid API key: You must be granted a valid key.' },
+    404: { status_code: 34, status_message: 'The resource you requested could not be found.' },
+    429: { status_code: 25, status_message: 'Your request count is over the allowed limit of 40.' },
+    500: { status_code: 11, status_message: 'Internal error: Something went wrong, contact TMDb.' },
+    503: { status_code: 9, status_message: 'Service offline: This service is temporarily offline, try again later.' }
+};
+
+function readJson(path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function loadTitles(dir) {
+    const titles = new Map();
+    if (!existsSync(dir)) return titles;
+
+    readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const title = readJson(join(dir, file));
+            titles.set(title.id, title);
+        });
+    return titles;
+}
+
+function normalize(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// A title matches when every word of the query appears in it, roughly how
+// TMDb's search treats short OCR'd titles
+function matchesQuery(query, ...names) {
+    const words = normalize(query).split(' ').filter(Boolean);
+    if (words.length === 0) return false;
+
+    return names.some(name => {
+        const nameWords = normalize(name).split(' ');
+        return words.every(word => nameWords.includes(word));
+    });
+}
+
+function sendError(res, status, retryAfter = null) {
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    res.status(status).json({ success: false, ...(ERRORS[status] || ERRORS[500]) });
+}
+
+// Options:
+// - fixturesDir: where movie/, tv/, genre-*.json and configuration.json live
+// - latency: delay in ms added to every response
+// - failRate: share of requests (0..1) answered with a random 500/503
+// - rateLimit: requests per 10 seconds before answering 429 (0 = unlimited)
+// Any request can also force a status with ?mock_status=429 (or 401, 404, 500, 503).
+export function createMockTMDbRouter({
+    fixturesDir = TMDB_FIXTURES_DIR,
+    latency = 0,
+    failRate = 0,
+    rateLimit = 0,
+    random = Math.random
+} = {}) {
+    const router = express.Router();
+    const movies = loadTitles(join(fixturesDir, 'movie'));
+    const shows = loadTitles(join(fixturesDir, 'tv'));
+    const rateWindow = { requests: 0, resetTime: Date.now() + 10000 };
+
+    function summarize(title, mediaType) {
+        const summary = {
+            id: title.id,
+            media_type: mediaType,
+            overview: title.overview,
+            original_language: title.original_language,
+            genre_ids: (title.genres || []).map(genre => genre.id),
+            popularity: title.popularity,
+            vote_average: title.vote_average,
+            vote_count: title.vote_count,
+            poster_path: title.poster_path,
+            backdrop_path: title.backdrop_path,
+            adult: title.adult || false
+        };
+
+        return mediaType === 'tv'
+            ? { ...summary, name: title.name, original_name: title.original_name, first_air_date: title.first_air_date }
+            : { ...summary, title: title.title, original_title: title.original_title, release_date: title.release_date };
+    }
+
+    function search(query, { movie = true, tv = true, year = null } = {}) {
+        const results = [];
+        if (movie) {
+            movies.forEach(title => {
+                if (matchesQuery(query, title.title, title.original_title)
+                    && (!year || title.release_date?.startsWith(year))) {
+                    results.push(summarize(title, 'movie'));
+                }
+            });
+        }
+        if (tv) {
+            shows.forEach(title => {
+                if (matchesQuery(query, title.name, title.original_name)
+                    && (!year || title.first_air_date?.startsWith(year))) {
+                    results.push(summarize(title, 'tv'));
+                }
+            });
+        }
+        results.sort((a, b) => b.popularity - a.popularity);
+        return { page: 1, results, total_pages: 1, total_results: results.length };
+    }
+
+    // Recommendation and similar fixtures only list { id, media_type };
+    // expand the ones we have fixtures for into search-style results
+    function expandList(list) {
+        const results = (list?.results || [])
+            .map(ref => {
+                const title = (ref.media_type === 'tv' ? shows : movies).get(ref.id);
+                return title ? summarize(title, ref.media_type) : null;
+            })
+            .filter(Boolean);
+        return { page: 1, results, total_pages: 1, total_results: results.length };
+    }
+
+    function section(title, name) {
+        return ['recommendations', 'similar'].includes(name) ? expandList(title[name]) : title[name];
+    }
+
+    function details(title, appendToResponse) {
+        const base = Object.fromEntries(Object.entries(title).filter(([key]) => !APPENDABLE.includes(key)));
+        (appendToResponse || '').split(',').map(name => name.trim()).forEach(name => {
+            if (APPENDABLE.includes(name) && title[name] !== undefined) {
+                base[name] = section(title, name);
+            }
+        });
+        return base;
+    }
+
+    // Simulated latency, forced statuses, random failures and rate limiting
+    router.use(async (req, res, next) => {
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        const forced = Number(req.query.mock_status);
+        if (forced >= 400) {
+            return sendError(res, forced, forced === 429 ? 10 : null);
+        }
+
+        if (rateLimit > 0) {
+            if (Date.now() > rateWindow.resetTime) {
+                rateWindow.requests = 0;
+                rateWindow.resetTime = Date.now() + 10000;
+            }
+            if (++rateWindow.requests > rateLimit) {
+                return sendError(res, 429, Math.ceil((rateWindow.resetTime - Date.now()) / 1000));
+            }
+        }
+
+        if (failRate > 0 && random() < failRate) {
+            return sendError(res, random() < 0.5 ? 500 : 503);
+        }
+
+        res.set('X-TMDb-Mock', 'true');
+        next();
+    });
+
+    router.get('/search/:type', (req, res) => {
+        const { type } = req.params;
+        const query = req.query.query || '';
+
+        if (type === 'movie') return res.json(search(query, { tv: false, year: req.query.year }));
+        if (type === 'tv') return res.json(search(query, { movie: false, year: req.query.first_air_date_year }));
+        if (type === 'multi') return res.json(search(query));
+        sendError(res, 404);
+    });
+
+    router.get('/genre/:mediaType/list', (req, res) => {
+        const file = join(fixturesDir, `genre-${req.params.mediaType}.json`);
+        if (!existsSync(file)) return sendError(res, 404);
+        res.json(readJson(file));
+    });
+
+    router.get('/configuration', (req, res) => {
+        res.json(readJson(join(fixturesDir, 'configuration.json')));
+    });
+
+    router.get('/:mediaType/:id/*section', (req, res) => {
+        const { mediaType, id } = req.params;
+        const titles = mediaType === 'tv' ? shows : mediaType === 'movie' ? movies : null;
+        const title = titles?.get(Number(id));
+        const name = req.params.section.join('/');
+
+        if (!title || !APPENDABLE.includes(name) || title[name] === undefined) {
+            return sendError(res, 404);
+        }
+        res.json({ id: title.id, ...section(title, name) });
+    });
+
+    router.get('/:mediaType/:id', (req, res) => {
+        const { mediaType, id } = req.params;
+
+        const titles = mediaType === 'tv' ? shows : mediaType === 'movie' ? movies : null;
+        const title = titles?.get(Number(id));
+        if (!title) return sendError(res, 404);
+
+        res.json(details(title, req.query.append_to_response));
+    });
+
+    router.use((req, res) => sendError(res, 404));
+
+    return router;
+}
@@ -0,0 +1,129 @@
+// api/tmdb.js - Server-side TMDb proxy (keeps the API key off the client)
+import express from 'express';
+
+export const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+// Only the read endpoints the scanner uses are proxied
+const ALLOWED_PATHS = [
+    /^search\/(movie|tv|multi)$/,
+    /^movie\/\d+(\/[a-z_]+|\/watch\/providers)?$/,
+    /^tv\/\d+(\/[a-z_]+|\/watch\/providers)?$/,
+    /^genre\/(movie|tv)\/list$/,
+    /^configuration$/
+];
+
+// TMDb allows roughly 40 requests per 10 seconds per key. A sliding window
+// over the last requests' start times: a caller that has to wait checks
+// again when it wakes, so queued callers go out one by one as slots free up
+// instead of all at once.
+function createRateLimiter(maxRequests = 40, windowMs = 10000) {
+    const startTimes = [];
+
+    return async function checkRateLimit() {
+        while (true) {
+            const now = Date.now();
+            while (startTimes.length > 0 && now - startTimes[0] >= windowMs) {
+                startTimes.shift();
+            }
+
+            if (startTimes.length < maxRequests) {
+                startTimes.push(now);
+                return;
+            }
+
+            const waitTime = startTimes[0] + windowMs - now;
+            console.log(`⏳ TMDb rate limit reached, waiting ${waitTime}ms...`);
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+    };
+}
+
+// `fetcher` is injectable (fetch-compatible) so the proxy can run against fakes
+export function createTMDbRouter({
+    apiKey,
+    fetcher = fetch,
+    baseUrl = TMDB_BASE_URL,
+    cacheTtl = 10 * 60 * 1000, // 10 minutes
+    cacheMaxEntries = 500
+} = {}) {
+    const router = express.Router();
+    const cache = new Map();
+    const checkRateLimit = createRateLimiter();
+
+    function getCached(key) {
+        const entry = cache.get(key);
+        if (!entry) return null;
+
+        if (Date.now() > entry.expires) {
+            cache.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    function setCached(key, status, body) {
+        // Map keeps insertion order, so the first key is the oldest entry
+        if (cache.size >= cacheMaxEntries) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, { status, body, expires: Date.now() + cacheTtl });
+    }
+
+    router.get('/*path', async (req, res) => {
+        const tmdbPath = req.params.path.join('/');
+
+        if (!ALLOWED_PATHS.some(pattern => pattern.test(tmdbPath))) {
+            return res.status(404).json({
+                success: false,
+                error: `TMDb endpoint not allowed: /${tmdbPath}`
+            });
+        }
+
+        if (!apiKey) {
+            return res.status(500).json({
+                success: false,
+                error: 'VITE_TMDB_API_KEY not configured on the server'
+            });
+        }
+
+        // Never let the client pass its own key through
+        const params = new URLSearchParams();
+        Object.entries(req.query)
+            .filter(([name]) => name !== 'api_key')
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([name, value]) => params.append(name, String(value)));
+
+        const cacheKey = `${tmdbPath}?${params}`;
+        const cached = getCached(cacheKey);
+        if (cached) {
+            res.set('X-Cache', 'HIT');
+            return res.status(cached.status).json(cached.body);
+        }
+
+        try {
+            await checkRateLimit();
+
+            params.set('api_key', apiKey);
+            const response = await fetcher(`${baseUrl}/${tmdbPath}?${params}`);
+            const body = await response.json();
+
+            // Cache successful lookups and "not found" answers, not transient errors
+            if (response.ok || response.status === 404) {
+                setCached(cacheKey, response.status, body);
+            }
+
+            res.set('X-Cache', 'MISS');
+            res.status(response.status).json(body);
+        } catch (error) {
+            console.error('❌ TMDb proxy error:', error.message);
+            res.status(502).json({
+                success: false,
+                error: 'TMDb request failed'
+            });
+        }
+    });
+
+    router.clearCache = () => cache.clear();
+
+    return router;
+}
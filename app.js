@@ -1,10 +1,30 @@
 import { VisionService } from './src/services/VisionService.js';  
 import { TMDbService } from './src/services/TMDbService.js';  
+import { PreferencesService } from './src/services/PreferencesService.js';
+import { PosterVerificationService } from './src/services/PosterVerificationService.js';
+import { XRTrackingService } from './src/services/XRTrackingService.js';
+import { AutoScanService } from './src/services/AutoScanService.js';
+import { ScanHistoryService } from './src/services/ScanHistoryService.js';
+import { toCardText } from './src/components/movie-card.js';
+import { CONFIG } from './src/config.js';
   
 class FreeARMovieScanner {  
     constructor() {  
         this.visionService = new VisionService();  
-        this.tmdbService = new TMDbService();  
+        this.preferences = new PreferencesService();
+        this.tmdbService = new TMDbService({
+            preferences: this.preferences,
+            baseUrl: new URLSearchParams(location.search).get('tmdb') === 'mock' ? CONFIG.TMDB.MOCK_BASE_URL : undefined
+        });
+        this.posterVerifier = new PosterVerificationService(this.tmdbService);
+        this.autoScan = new AutoScanService({
+            captureFrame: () => this.captureFrame(),
+            scan: canvas => this.autoScanFrame(canvas),
+            canScan: () => this.isARStarted && this.isOCRReady && !this.isScanning && !this.matchPicker,
+            posterVerifier: this.posterVerifier,
+            onUpdate: () => this.updateAutoScanUI()
+        });
+        this.scanHistory = new ScanHistoryService();
         this.arScene = null;  
         this.arCamera = null;  
         this.isARStarted = false;  
@@ -12,6 +32,11 @@ class FreeARMovieScanner {
         this.isOCRReady = false;  
         this.movieMarkers = new Map();  
         this.markerIdCounter = 0;  
+        this.matchPicker = null;
+        this.pickerSize = 3; // Matches offered when the top results score too close
+        this.maxProviderLogos = 6; // Per where-to-watch group on a card
+        this.trailerOverlay = null;
+        this.trackingMode = null; // 'surface' (WebXR hit-test) or 'fixed' (fixed distance along the tap)
           
         this.initElements();  
         this.bindEvents();  
@@ -22,13 +47,69 @@ class FreeARMovieScanner {
         this.arScene = document.getElementById('ar-scene');  
         this.arCamera = document.getElementById('ar-camera');  
         this.startBtn = document.getElementById('start-ar-btn');  
+        this.autoScanBtn = document.getElementById('auto-scan-btn');
+        this.historyBtn = document.getElementById('history-btn');
+        this.historyDrawer = document.getElementById('history-drawer');
+        this.historyCloseBtn = document.getElementById('history-close-btn');
+        this.historySearch = document.getElementById('history-search');
+        this.historyList = document.getElementById('history-list');
+        this.historyEmpty = document.getElementById('history-empty');
+        this.historyExportJsonBtn = document.getElementById('history-export-json-btn');
+        this.historyExportCsvBtn = document.getElementById('history-export-csv-btn');
         this.instruction = document.getElementById('scan-instruction');  
         this.loadingOverlay = document.getElementById('loading-overlay');  
         this.errorMessage = document.getElementById('error-message');  
         this.arStatus = document.getElementById('ar-status');  
+        this.trackingLabel = document.getElementById('ar-tracking');
+        this.xrTracking = new XRTrackingService(this.arScene);
         this.permissionDialog = document.getElementById('permission-dialog');
         this.permissionBtn = document.getElementById('grant-permission-btn');
+        this.localeSelect = document.getElementById('locale-select');
+        this.regionSelect = document.getElementById('region-select');
+        this.cardModeSelect = document.getElementById('card-mode-select');
+        this.populateLocaleSelect();
+        this.populateRegionSelect();
+        this.populateCardModeSelect();
     }  
+
+    populateLocaleSelect() {
+        const current = this.preferences.get('language');
+        CONFIG.PREFERENCES.LOCALES.forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale.language;
+            option.textContent = locale.label;
+            option.selected = locale.language === current;
+            this.localeSelect.appendChild(option);
+        });
+    }
+
+    populateRegionSelect() {
+        const current = this.preferences.get('region');
+        const regions = [...CONFIG.PREFERENCES.REGIONS];
+        // Keep a stored region selectable even if the list changes
+        if (!regions.some(region => region.code === current)) {
+            regions.push({ code: current, label: current });
+        }
+        regions.forEach(region => {
+            const option = document.createElement('option');
+            option.value = region.code;
+            option.textContent = region.code;
+            option.title = region.label;
+            option.selected = region.code === current;
+            this.regionSelect.appendChild(option);
+        });
+    }
+
+    populateCardModeSelect() {
+        const current = this.preferences.get('cardMode');
+        CONFIG.PREFERENCES.CARD_MODES.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.label;
+            option.selected = mode.value === current;
+            this.cardModeSelect.appendChild(option);
+        });
+    }
   
     bindEvents() {  
         this.startBtn.addEventListener('click', (e) => {  
@@ -45,21 +126,82 @@ class FreeARMovieScanner {
             this.toggleAR();  
         });  
           
+        this.autoScanBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleAutoScan();
+        });
+
+        this.autoScanBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleAutoScan();
+        });
+
+        this.historyBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleHistory();
+        });
+
+        this.historyBtn.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.toggleHistory();
+        });
+
+        this.historyCloseBtn.addEventListener('click', () => this.toggleHistory(false));
+        this.historySearch.addEventListener('input', () => this.renderHistory());
+        this.historyExportJsonBtn.addEventListener('click', () => this.exportHistory('json'));
+        this.historyExportCsvBtn.addEventListener('click', () => this.exportHistory('csv'));
+          
         // Screen tap for scanning - use touchend for better mobile support  
         document.addEventListener('touchend', (event) => {  
-            if (this.isARStarted && !event.target.closest('.ar-btn, .movie-card, .close-btn')) {  
+            if (this.isARStarted && !event.target.closest('.ar-btn, .ar-select, .movie-card, .close-btn, .match-picker, .trailer-overlay, .history-drawer')) {  
                 event.preventDefault();  
-                this.scanAtPosition(event.changedTouches[0]);  
+                this.handleTap(event.changedTouches[0]);  
             }  
         });  
           
         // Fallback for mouse clicks (desktop/testing)  
         document.addEventListener('click', (event) => {  
-            if (this.isARStarted && !event.target.closest('.ar-btn, .movie-card, .close-btn')) {  
-                this.scanAtPosition(event);  
+            if (this.isARStarted && !event.target.closest('.ar-btn, .ar-select, .movie-card, .close-btn, .match-picker, .trailer-overlay, .history-drawer')) {  
+                this.handleTap(event);  
             }  
         });  
+
+        // Tapping the details of a 3D card (outside its buttons and links) hides them again
+        document.addEventListener('click', (event) => {
+            const card = event.target.closest('.movie-card');
+            if (!card || event.target.closest('.close-btn, button, a, .related-carousel')) return;
+
+            const marker = [...this.movieMarkers.values()].find(entry => entry.movieCard === card);
+            if (marker?.sceneCard && this.preferences.get('cardMode') === '3d') {
+                this.toggleCardDetails(marker);
+            }
+        });
   
+        // Language/region for TMDb titles, overviews and genres
+        this.localeSelect.addEventListener('change', () => {
+            const locale = CONFIG.PREFERENCES.LOCALES.find(entry => entry.language === this.localeSelect.value);
+            this.preferences.set({ language: locale.language, region: locale.region });
+            this.regionSelect.value = locale.region;
+            this.hideMatchPicker();
+            this.refreshMarkers();
+        });
+
+        // Country for where-to-watch listings
+        this.regionSelect.addEventListener('change', () => {
+            this.preferences.set({ region: this.regionSelect.value });
+            this.refreshMarkers();
+        });
+
+        // In-scene cards, or screen overlays for screen readers and zoom
+        this.cardModeSelect.addEventListener('change', () => {
+            this.preferences.set({ cardMode: this.cardModeSelect.value });
+            this.movieMarkers.forEach(marker => this.applyCardMode(marker));
+        });
+
         // A-Frame loaded event  
         this.arScene.addEventListener('loaded', () => {  
             console.log('✅ A-Frame scene loaded');  
@@ -72,7 +214,7 @@ class FreeARMovieScanner {
                 console.log('📱 Page hidden');  
             } else {  
                 console.log('📱 Page visible');  
-                if (this.isARStarted) {  
+                if (this.isARStarted && this.trackingMode !== 'surface') {  
                     this.ensureCameraVisible();  
                 }  
             }  
@@ -83,6 +225,9 @@ class FreeARMovieScanner {
         try {  
             console.log('🚀 Initializing Free AR Movie Scanner...');  
               
+            // Localized genre names; not needed to start scanning
+            this.tmdbService.loadGenres();
+
             // Initialize simplified Vision service  
             this.updateStatus('Initializing Vision API...');  
             await this.visionService.init();  
@@ -120,15 +265,23 @@ class FreeARMovieScanner {
                 throw new Error('Vision service not ready. Please refresh the page.');  
             }
   
-            // Request camera permissions  
-            const stream = await navigator.mediaDevices.getUserMedia({ 
-                video: { facingMode: 'environment' }, 
-                audio: false 
-            });  
+            // Surface tracking when the browser supports it, otherwise the
+            // camera feed with markers at a fixed distance along the tap
+            if (await this.startXRTracking()) {
+                this.setTrackingMode('surface');
+            } else {
+                // Request camera permissions  
+                const stream = await navigator.mediaDevices.getUserMedia({ 
+                    video: { facingMode: 'environment' }, 
+                    audio: false 
+                });  
   
-            // Ensure camera feed is visible  
-            this.ensureCameraVisible();
+                // Ensure camera feed is visible  
+                this.ensureCameraVisible();
+                this.setTrackingMode('fixed');
+            }
             this.isARStarted = true;  
+            this.autoScan.resetBudget();
             this.updateARUI();  
             this.showInstruction();
             
@@ -145,6 +298,34 @@ class FreeARMovieScanner {
         }  
     }  
   
+    async startXRTracking() {
+        if (!(await this.xrTracking.isSupported())) return false;
+
+        try {
+            await this.xrTracking.start();
+        } catch (error) {
+            console.warn('⚠️ WebXR AR unavailable, using fixed-distance markers:', error.message);
+            return false;
+        }
+
+        // The XR compositor draws the camera; the AR.js video would cover it in the DOM overlay
+        const video = document.querySelector('video');
+        if (video) video.style.display = 'none';
+
+        // Leaving AR from the browser's own UI ends the session without our EXIT button
+        this.xrTracking.onEnd = () => {
+            if (this.isARStarted) this.stopAR();
+        };
+        return true;
+    }
+
+    setTrackingMode(mode) {
+        this.trackingMode = mode;
+        const labels = { surface: 'Tracking: surfaces (WebXR)', fixed: 'Tracking: fixed distance' };
+        this.trackingLabel.textContent = labels[mode] || '';
+        this.trackingLabel.classList.toggle('surface', mode === 'surface');
+    }
+
     showPermissionDialog() {
         return new Promise((resolve) => {
             this.permissionDialog.style.display = 'flex';
@@ -193,7 +374,14 @@ class FreeARMovieScanner {
         console.log('🛑 Stopping AR...');  
           
         this.isARStarted = false;  
+        this.autoScan.stop();
+        this.hideMatchPicker();
+        this.closeTrailer();
         this.clearAllMarkers();  
+        if (this.trackingMode === 'surface') {
+            this.xrTracking.stop();
+        }
+        this.setTrackingMode(null);
         this.updateARUI();  
         this.hideInstruction();  
           
@@ -209,7 +397,169 @@ class FreeARMovieScanner {
             this.startBtn.textContent = 'START';
             this.startBtn.classList.remove('active');
         }
+        this.autoScanBtn.hidden = !this.isARStarted;
     }  
+
+    toggleAutoScan() {
+        if (this.autoScan.running) {
+            this.autoScan.stop();
+            this.updateStatus('AR Active - Point at poster and tap');
+        } else if (this.autoScan.start()) {
+            this.updateStatus('Auto-scan: hold steady on a poster');
+        } else {
+            this.showError('Auto-scan limit reached for this session. Tap posters to scan, or restart AR.');
+        }
+    }
+
+    // AUTO used/budget, where used counts paid OCR calls
+    updateAutoScanUI() {
+        this.autoScanBtn.textContent = `AUTO ${this.autoScan.scansUsed}/${this.autoScan.budget}`;
+        this.autoScanBtn.classList.toggle('active', this.autoScan.running);
+        this.autoScanBtn.disabled = this.autoScan.remaining === 0;
+    }
+  
+    // What a scan saw, taken before the frame is discarded: the poster text
+    // and a thumbnail. The match is added by recordScan.
+    createScanRecord(canvas, ocrResult) {
+        return {
+            ocrText: ocrResult.fullText || ocrResult.text,
+            thumbnail: this.scanHistory.createThumbnail(canvas)
+        };
+    }
+
+    // `confidence` is the match score (text ranking plus poster verification)
+    async recordScan(scan, movieData, confidence) {
+        try {
+            await this.scanHistory.add({
+                ...scan,
+                title: movieData.title,
+                year: movieData.release_date?.substring(0, 4) || null,
+                mediaType: movieData.media_type,
+                tmdbId: movieData.id,
+                confidence: typeof confidence === 'number' ? Number(confidence.toFixed(2)) : null,
+                visualScore: movieData.visualScore ?? null
+            });
+            if (!this.historyDrawer.hidden) this.renderHistory();
+        } catch (error) {
+            console.warn('⚠️ Could not save scan to history:', error.message);
+        }
+    }
+
+    toggleHistory(open = this.historyDrawer.hidden) {
+        this.historyDrawer.hidden = !open;
+        this.historyBtn.classList.toggle('active', open);
+        this.historyBtn.setAttribute('aria-expanded', String(open));
+        if (open) this.renderHistory();
+    }
+
+    async renderHistory() {
+        const entries = await this.scanHistory.list(this.historySearch.value);
+
+        this.historyList.replaceChildren(...entries.map(entry => this.createHistoryItem(entry)));
+        this.historyEmpty.hidden = entries.length > 0;
+        this.historyEmpty.textContent = this.historySearch.value.trim() ? 'No matching scans' : 'No scans yet';
+        this.historyExportJsonBtn.disabled = entries.length === 0;
+        this.historyExportCsvBtn.disabled = entries.length === 0;
+    }
+
+    createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'history-thumb';
+        thumb.alt = '';
+        thumb.src = entry.thumbnail;
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = entry.year ? `${entry.title} (${entry.year})` : entry.title;
+
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = [
+            new Date(entry.timestamp).toLocaleString(this.preferences.get('language')),
+            entry.mediaType === 'tv' ? 'TV' : null,
+            typeof entry.confidence === 'number' ? `Score ${entry.confidence.toFixed(2)}` : null,
+            typeof entry.visualScore === 'number' ? `Poster ${Math.round(entry.visualScore * 100)}%` : null
+        ].filter(Boolean).join(' • ');
+
+        const ocr = document.createElement('div');
+        ocr.className = 'history-ocr';
+        ocr.textContent = (entry.ocrText || '').replace(/\s+/g, ' ');
+        ocr.title = entry.ocrText || '';
+
+        const actions = document.createElement('div');
+        actions.className = 'history-item-actions';
+        const reopen = document.createElement('button');
+        reopen.className = 'history-reopen';
+        reopen.textContent = 'Reopen';
+        reopen.addEventListener('click', () => this.reopenScan(entry));
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.setAttribute('aria-label', `Delete ${entry.title} from history`);
+        remove.addEventListener('click', () => this.deleteScan(entry.id));
+        actions.append(reopen, remove);
+
+        info.append(title, meta, ocr, actions);
+        item.append(thumb, info);
+        return item;
+    }
+
+    // Places the card again in the middle of the view, with fresh TMDb details
+    async reopenScan(entry) {
+        if (!this.isARStarted) {
+            this.showError('Start AR to place this card again.');
+            return;
+        }
+
+        this.toggleHistory(false);
+        this.showLoading();
+        try {
+            const details = await this.tmdbService.getMatchDetails({ id: entry.tmdbId, media_type: entry.mediaType });
+            const movieData = { ...details, visualScore: entry.visualScore };
+            const screenX = window.innerWidth / 2;
+            const screenY = window.innerHeight / 2;
+            this.placeARMovieMarker(screenX, screenY, movieData, await this.surfaceHit(screenX, screenY));
+            this.updateStatus(`Reopened: ${movieData.title}`);
+        } catch (error) {
+            console.error('❌ Failed to reopen scan:', error);
+            this.showError('Could not load that title. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async deleteScan(id) {
+        try {
+            await this.scanHistory.delete(id);
+        } catch (error) {
+            console.warn('⚠️ Could not delete scan:', error.message);
+        }
+        this.renderHistory();
+    }
+
+    // Exports the scans listed in the drawer, so a search narrows the export
+    async exportHistory(format) {
+        const entries = await this.scanHistory.list(this.historySearch.value);
+        const content = format === 'csv' ? this.scanHistory.toCSV(entries) : this.scanHistory.toJSON(entries);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = `ar-poster-history-${new Date().toISOString().substring(0, 10)}.${format}`;
+        // Inside the drawer, so the click isn't taken for a scan tap
+        this.historyDrawer.appendChild(link);
+        link.click();
+        link.remove();
+        // Safari on iOS reads the blob after click() returns, so it isn't revoked straight away
+        setTimeout(() => URL.revokeObjectURL(link.href), CONFIG.HISTORY.EXPORT_URL_LIFETIME_MS);
+
+        console.log(`💾 Exported ${entries.length} scans as ${format.toUpperCase()}`);
+    }
   
     showInstruction() {  
         this.instruction.classList.add('show');  
@@ -222,11 +572,32 @@ class FreeARMovieScanner {
         this.instruction.classList.remove('show');  
     }  
   
+    // A tap on a 3D card shows or hides its details; anywhere else scans
+    handleTap(point) {
+        const marker = this.markerAt(point.clientX, point.clientY);
+        if (marker) {
+            this.toggleCardDetails(marker);
+        } else {
+            this.scanAtPosition(point);
+        }
+    }
+
+    markerAt(screenX, screenY) {
+        for (const marker of this.movieMarkers.values()) {
+            const rect = marker.screenRect;
+            if (rect && screenX >= rect.left && screenX <= rect.right && screenY >= rect.top && screenY <= rect.bottom) {
+                return marker;
+            }
+        }
+        return null;
+    }
+
     async scanAtPosition(event) {  
         if (this.isScanning || !this.isARStarted || !this.isOCRReady) return;  
           
         console.log('🎯 Scanning at tap position');  
         this.isScanning = true;  
+        this.hideMatchPicker();
         this.showLoading();  
         this.updateStatus('Scanning poster...');  
           
@@ -237,19 +608,40 @@ class FreeARMovieScanner {
               
             // Capture camera frame  
             const canvas = await this.captureFrame();  
+
+            // Where the tap meets a real surface, taken now in case the user moves during OCR
+            const surfacePoint = await this.surfaceHit(tapX, tapY);
               
-            // Extract text using simplified Vision service  
-            const movieTitle = await this.visionService.extractText(canvas);  
+            // The tap in frame coordinates, so OCR favours the poster under the finger
+            const focus = this.screenToFramePoint(tapX, tapY, canvas);
+
+            // Extract ranked title candidates using simplified Vision service  
+            const ocrResult = await this.visionService.extractTextDetails(canvas, { focus });  
+            const movieTitle = ocrResult.text;
               
             if (movieTitle && movieTitle.trim().length > 0) {  
                 console.log('📝 Detected movie:', movieTitle);  
+                const scan = this.createScanRecord(canvas, ocrResult);
                   
-                // Search for movie  
-                const movieData = await this.tmdbService.searchMovie(movieTitle);  
+                // Search for movie, falling back to the next-best title guesses  
+                const search = await this.searchCandidates(ocrResult);  
+                
+                // Poster artwork settles remakes and same-name titles the text can't
+                if (search && CONFIG.VISUAL.ENABLED) {
+                    search.matches = await this.verifyMatches(canvas, focus, search.matches);
+                }
                   
-                if (movieData) {  
+                if (search && this.tmdbService.isAmbiguous(search.matches, search.hints)) {
+                    // Let the user choose rather than pin a card that may be wrong
+                    this.showMatchPicker(tapX, tapY, search.matches.slice(0, this.pickerSize), surfacePoint, scan);
+                    this.updateStatus('Several matches - pick one');
+                } else if (search) {  
                     // Place AR marker  
-                    this.placeARMovieMarker(tapX, tapY, movieData);  
+                    const details = await this.tmdbService.pickMatch(search.matches, search.hints);
+                    const picked = search.matches.find(match => match.id === details.id && match.media_type === details.media_type);
+                    const movieData = { ...details, visualScore: picked?.visualScore ?? null };
+                    this.placeARMovieMarker(tapX, tapY, movieData, surfacePoint);  
+                    this.recordScan(scan, movieData, picked?.score);
                     this.updateStatus(`Found: ${movieData.title}`);  
                 } else {  
                     this.updateStatus('Movie not found');  
@@ -270,18 +662,206 @@ class FreeARMovieScanner {
               
             setTimeout(() => {  
                 if (this.isARStarted) {  
-                    this.updateStatus('AR Active - Point at poster and tap');  
+                    this.updateStatus(this.autoScan.running ? 'Auto-scan: hold steady on a poster' : 'AR Active - Point at poster and tap');  
                 }  
             }, 3000);  
         }  
     }  
   
+    // One hands-free scan from AutoScanService: the poster in the middle of
+    // the view gets a card unless its title already has one. Resolves
+    // { cached } so cached OCR results don't count against the budget.
+    async autoScanFrame(canvas) {
+        this.isScanning = true;
+        this.updateStatus('Auto-scanning...');
+
+        try {
+            const focus = { x: 0.5, y: 0.5 };
+            // One request per frame: the next steady frame is the retry
+            const ocrResult = await this.visionService.extractTextDetails(canvas, { focus, retries: 0 });
+            const search = ocrResult.text ? await this.searchCandidates(ocrResult) : null;
+            if (!search) return { cached: ocrResult.cached };
+
+            if (CONFIG.VISUAL.ENABLED) {
+                search.matches = await this.verifyMatches(canvas, focus, search.matches);
+            }
+
+            // Hands-free, so an ambiguous result takes the best match rather than asking
+            const details = await this.tmdbService.pickMatch(search.matches, search.hints);
+            if (this.hasMarkerFor(details)) {
+                console.log('⏭️ Already on screen:', details.title);
+                return { cached: ocrResult.cached };
+            }
+
+            const picked = search.matches.find(match => match.id === details.id && match.media_type === details.media_type);
+            const movieData = { ...details, visualScore: picked?.visualScore ?? null };
+            const screenX = window.innerWidth / 2;
+            const screenY = window.innerHeight / 2;
+            this.placeARMovieMarker(screenX, screenY, movieData, await this.surfaceHit(screenX, screenY));
+            this.recordScan(this.createScanRecord(canvas, ocrResult), movieData, picked?.score);
+            this.updateStatus(`Auto: found ${movieData.title}`);
+
+            return { cached: ocrResult.cached };
+        } finally {
+            this.isScanning = false;
+            if (this.autoScan.running) {
+                setTimeout(() => {
+                    if (this.autoScan.running && !this.isScanning) {
+                        this.updateStatus('Auto-scan: hold steady on a poster');
+                    }
+                }, 3000);
+            }
+        }
+    }
+
+    hasMarkerFor(title) {
+        return [...this.movieMarkers.values()].some(marker =>
+            marker.movieData.id === title.id && marker.movieData.media_type === title.media_type);
+    }
+
+    // Returns the ranked TMDb matches for the first title guess that has any
+    async searchCandidates(ocrResult) {
+        const titles = ocrResult.candidates.length > 0
+            ? ocrResult.candidates.map(candidate => candidate.text)
+            : [ocrResult.text];
+        const hints = {
+            ...ocrResult.metadata,
+            language: ocrResult.language?.code
+        };
+
+        // Only the top few guesses are worth a TMDb request each
+        for (const title of titles.slice(0, 3)) {
+            const matches = await this.tmdbService.searchMovieCandidates(title, hints);
+            if (matches.length > 0) return { matches, hints };
+            console.log(`↪️ No match for "${title}", trying next candidate`);
+        }
+
+        return null;
+    }
+
+    // `focus` is the tap in 0..1 frame coordinates, see screenToFramePoint
+    async verifyMatches(canvas, focus, matches) {
+        try {
+            const region = this.posterVerifier.estimatePosterRegion(canvas, focus);
+            return await this.posterVerifier.verify(canvas, region, matches);
+        } catch (error) {
+            // Verification is a refinement; the text ranking still stands
+            console.warn('⚠️ Poster verification skipped:', error.message);
+            return matches;
+        }
+    }
+
+    // `scan` is the pending history record, saved once a match is picked
+    showMatchPicker(screenX, screenY, matches, surfacePoint = null, scan = null) {
+        this.hideMatchPicker();
+
+        const picker = document.createElement('div');
+        picker.className = 'match-picker';
+
+        const heading = document.createElement('div');
+        heading.className = 'match-picker-title';
+        heading.textContent = 'Did you mean…';
+        picker.appendChild(heading);
+
+        matches.forEach(match => {
+            const option = document.createElement('button');
+            option.className = 'match-option';
+
+            const posterPath = match.poster_path;
+            const thumb = document.createElement(posterPath ? 'img' : 'div');
+            if (posterPath) {
+                thumb.alt = '';
+                this.tmdbService.loadImage(`${CONFIG.TMDB.IMAGE_BASE_URL}/${CONFIG.TMDB.IMAGE_SIZES.THUMBNAIL}${posterPath}`, thumb)
+                    .catch(error => console.warn('⚠️', error.message));
+            } else {
+                thumb.className = 'match-thumb-empty';
+            }
+
+            const label = document.createElement('div');
+            const title = document.createElement('div');
+            title.className = 'match-option-title';
+            title.textContent = match.title || match.name;
+            const year = document.createElement('div');
+            year.className = 'match-option-year';
+            const releaseDate = match.release_date || match.first_air_date;
+            const genre = (match.genre_ids || []).map(id => this.tmdbService.getGenreName(id, match.media_type)).find(Boolean);
+            year.textContent = [
+                releaseDate?.substring(0, 4) || 'Unknown year',
+                match.media_type === 'tv' ? 'TV' : null,
+                genre,
+                typeof match.visualScore === 'number' ? `Poster ${Math.round(match.visualScore * 100)}%` : null
+            ].filter(Boolean).join(' • ');
+            label.append(title, year);
+
+            option.append(thumb, label);
+            option.addEventListener('click', () => this.selectMatch(screenX, screenY, match, surfacePoint, scan));
+            picker.appendChild(option);
+        });
+
+        const cancel = document.createElement('button');
+        cancel.className = 'match-cancel';
+        cancel.textContent = 'None of these';
+        cancel.addEventListener('click', () => {
+            this.hideMatchPicker();
+            this.updateStatus('AR Active - Point at poster and tap');
+        });
+        picker.appendChild(cancel);
+
+        document.body.appendChild(picker);
+
+        // Anchor at the tap, but keep the whole picker on screen
+        const margin = 10;
+        const halfWidth = picker.offsetWidth / 2;
+        const halfHeight = picker.offsetHeight / 2;
+        const left = Math.min(Math.max(screenX, halfWidth + margin), window.innerWidth - halfWidth - margin);
+        const top = Math.min(Math.max(screenY, halfHeight + margin), window.innerHeight - halfHeight - margin);
+        picker.style.left = `${left}px`;
+        picker.style.top = `${top}px`;
+
+        this.matchPicker = picker;
+        console.log('🤔 Ambiguous match, offering:', matches.map(match => match.title || match.name).join(', '));
+    }
+
+    hideMatchPicker() {
+        if (this.matchPicker) {
+            this.matchPicker.remove();
+            this.matchPicker = null;
+        }
+    }
+
+    async selectMatch(screenX, screenY, match, surfacePoint = null, scan = null) {
+        this.hideMatchPicker();
+        this.showLoading();
+
+        try {
+            const details = await this.tmdbService.getMatchDetails(match);
+            const movieData = { ...details, visualScore: match.visualScore ?? null };
+            this.placeARMovieMarker(screenX, screenY, movieData, surfacePoint);
+            if (scan) this.recordScan(scan, movieData, match.score);
+            this.updateStatus(`Found: ${movieData.title}`);
+        } catch (error) {
+            console.error('❌ Failed to load picked match:', error);
+            this.showError('Could not load that title. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     async captureFrame() {  
+        // The camera belongs to the WebXR session while it runs, when the
+        // browser granted camera-access; otherwise try the camera feed
+        if (this.trackingMode === 'surface' && this.xrTracking.hasCameraAccess) {
+            return this.xrTracking.captureFrame();
+        }
+
         // Get video element from A-Frame  
         const video = document.querySelector('video');  
         if (!video) {  
             throw new Error('No video feed available');  
         }  
+        if (this.trackingMode === 'surface' && (video.readyState < 2 || !video.videoWidth)) {
+            throw new Error('This browser does not share the camera image during WebXR AR, so posters can\'t be scanned in this mode.');
+        }
           
         // Create canvas and capture frame  
         const canvas = document.createElement('canvas');  
@@ -294,35 +874,90 @@ class FreeARMovieScanner {
         return canvas;  
     }  
   
-    placeARMovieMarker(screenX, screenY, movieData) {  
+    // Maps a screen point to 0..1 coordinates of a captured frame. The feed
+    // fills the viewport with object-fit: cover (see ensureCameraVisible): it is
+    // scaled by the larger of the two ratios and the overflow cropped evenly.
+    screenToFramePoint(screenX, screenY, frame) {
+        const scale = Math.max(window.innerWidth / frame.width, window.innerHeight / frame.height);
+        const offsetX = (frame.width * scale - window.innerWidth) / 2;
+        const offsetY = (frame.height * scale - window.innerHeight) / 2;
+        const clamp = value => Math.min(Math.max(value, 0), 1);
+
+        return {
+            x: clamp((screenX + offsetX) / scale / frame.width),
+            y: clamp((screenY + offsetY) / scale / frame.height)
+        };
+    }
+
+    // surfacePoint is where the tap hit a real surface (WebXR); without one the
+    // marker goes a fixed distance along the tap ray
+    placeARMovieMarker(screenX, screenY, movieData, surfacePoint = null) {  
         const markerId = `movie_marker_${++this.markerIdCounter}`;  
           
         // Convert screen tap to 3D world position using raycasting  
-        const worldPosition = this.screenToWorld3D(screenX, screenY);  
+        const worldPosition = surfacePoint ? { ...surfacePoint } : this.screenToWorld3D(screenX, screenY);  
           
-        // Create 3D entity anchored in world space (FIXED - no green rotating box)  
-        const arEntity = this.create3DMovieEntity(movieData, markerId, worldPosition);  
+        // In-scene card, positioned every frame by the movie-card system
+        const arEntity = this.create3DMovieEntity(markerId, worldPosition);  
         this.arScene.appendChild(arEntity);  
           
-        // Create 2D overlay that follows the 3D entity  
+        // Screen overlay with the full details, shown in 'dom' mode or when the 3D card is tapped
         const movieCard = this.create2DOverlayCard(movieData, markerId);  
+        movieCard.style.display = 'none';
         document.body.appendChild(movieCard);  
           
         // Store marker data  
-        this.movieMarkers.set(markerId, {  
+        const marker = {  
             arEntity: arEntity,  
             movieCard: movieCard,  
             movieData: movieData,  
             worldPosition: worldPosition,  
+            anchor: null,
+            sceneCard: false,     // Whether the title can be drawn in the scene
+            overlayVisible: false,
+            screenRect: null,     // Screen box of the 3D card, for tap hit-testing
             markerId: markerId  
-        });  
-          
-        // Start tracking this marker's 2D position (FIXED - with Z-axis scaling)  
-        this.startEntityTracking(markerId);  
+        };
+        this.movieMarkers.set(markerId, marker);
+
+        this.renderSceneCard(marker);
+        this.applyCardMode(marker);
+        this.loadCardPoster(arEntity, movieData);
+        this.arScene.systems['movie-card'].configure({
+            markers: this.movieMarkers,
+            project: position => this.trackingMode === 'surface'
+                ? this.projectXRToScreen(position)
+                : this.project3DToScreen(position)
+        });
+
+        // An anchor keeps worldPosition on the poster as tracking refines its map
+        if (surfacePoint) {
+            this.xrTracking.createAnchor(worldPosition).then(anchor => {
+                const marker = this.movieMarkers.get(markerId);
+                if (marker) {
+                    marker.anchor = anchor;
+                } else {
+                    this.xrTracking.releaseAnchor(anchor);
+                }
+            });
+        }
           
         console.log('✅ Placed 3D anchored marker:', movieData.title, 'at world position:', worldPosition);  
     }  
   
+    // World position where a screen point meets a real surface, or null
+    // outside WebXR surface tracking
+    async surfaceHit(screenX, screenY) {
+        if (this.trackingMode !== 'surface') return null;
+
+        try {
+            return await this.xrTracking.hitTest(screenX, screenY);
+        } catch (error) {
+            console.warn('⚠️ Hit test failed:', error.message);
+            return null;
+        }
+    }
+
     screenToWorld3D(screenX, screenY) {  
         // Convert screen coordinates to world position using raycasting  
           
@@ -355,24 +990,72 @@ class FreeARMovieScanner {
         };  
     }  
   
-create3DMovieEntity(movieData, markerId, worldPos) {  
-    // Create A-Frame entity anchored in 3D space (OPTION 3: Invisible anchor only)  
+create3DMovieEntity(markerId, worldPos) {  
     const entity = document.createElement('a-entity');  
     entity.setAttribute('id', markerId);  
     entity.setAttribute('position', `${worldPos.x} ${worldPos.y} ${worldPos.z}`);  
     entity.classList.add('ar-3d-marker');  
-      
-    // Create tiny invisible anchor point for 3D positioning only  
-    const anchor = document.createElement('a-sphere');  
-    anchor.setAttribute('radius', '0.01'); // Very small  
-    anchor.setAttribute('opacity', '0');   // Completely invisible  
-    anchor.setAttribute('material', 'transparent: true');  
-      
-    // Assemble entity (only invisible anchor)  
-    entity.appendChild(anchor);  
-      
     return entity;  
 }
+
+    // Text for the in-scene card, or null when the title can't be drawn there
+    getCardContent(movieData) {
+        const title = toCardText(movieData.title);
+        if (!title) return null;
+
+        const year = movieData.release_date?.substring(0, 4);
+        const meta = [
+            movieData.media_type === 'tv' ? `TV series${year ? ` from ${year}` : ''}` : year,
+            movieData.vote_average ? `${movieData.vote_average.toFixed(1)}/10` : null,
+            toCardText(this.tmdbService.getLocalRelease(movieData).certification)
+        ];
+        const genres = (movieData.genres || [])
+            .map(genre => toCardText(typeof genre === 'object' ? genre.name : genre))
+            .filter(Boolean);
+
+        return {
+            title,
+            meta: meta.filter(Boolean).join(' | '),
+            genres: genres.join(', ')
+        };
+    }
+
+    renderSceneCard(marker) {
+        const content = this.getCardContent(marker.movieData);
+        marker.sceneCard = !!content;
+
+        if (content) {
+            marker.arEntity.setAttribute('movie-card', content);
+        } else {
+            marker.arEntity.removeAttribute('movie-card');
+        }
+    }
+
+    async loadCardPoster(entity, movieData) {
+        if (!movieData.poster_path) return;
+
+        const url = `${CONFIG.TMDB.IMAGE_BASE_URL}/${CONFIG.TMDB.IMAGE_SIZES.CARD}${movieData.poster_path}`;
+        try {
+            const image = await this.tmdbService.loadImage(url);
+            if (entity.isConnected && entity.hasAttribute('movie-card')) {
+                entity.setAttribute('movie-card', 'poster', image);
+            }
+        } catch (error) {
+            // The card keeps its placeholder
+            console.warn('⚠️', error.message);
+        }
+    }
+
+    // Titles the 3D card can't draw always fall back to the screen overlay
+    applyCardMode(marker) {
+        const inScene = marker.sceneCard && this.preferences.get('cardMode') === '3d';
+        marker.arEntity.object3D.visible = inScene;
+        marker.overlayVisible = !inScene;
+    }
+
+    toggleCardDetails(marker) {
+        marker.overlayVisible = !marker.overlayVisible;
+    }
   
     create2DOverlayCard(movieData, markerId) {
         const movieCard = document.createElement('div');
@@ -386,46 +1069,323 @@ create3DMovieEntity(movieData, markerId, worldPos) {
         // Format genres - ensure we handle both genre objects and IDs
         let genreText = 'N/A';
         if (movieData.genres && movieData.genres.length > 0) {
-            genreText = movieData.genres.map(g => typeof g === 'object' ? g.name : g).join(' • ');
+            genreText = this.escapeHtml(movieData.genres.map(g => typeof g === 'object' ? g.name : g).join(' • '));
         }
         
-        movieCard.innerHTML = `
+        // Local age rating and release dates for the user's region
+        const release = this.tmdbService.getLocalRelease(movieData);
+        const certification = release.certification
+            ? ` • <span class="certification">${this.escapeHtml(release.certification)}</span>`
+            : '';
+        
+        if (movieData.media_type === 'tv') {
+            movieCard.classList.add('series-card');
+            movieCard.innerHTML = this.createSeriesCardContent(movieData, markerId, rating, genreText, certification);
+        } else {
+            movieCard.innerHTML = `
+                <div class="close-btn" onclick="window.arScanner.removeMarker('${markerId}')">×</div>
+                ${this.createReleaseBadge(release)}
+                <div class="movie-title">${this.escapeHtml(movieData.title)}</div>
+                <div class="movie-meta">
+                    ${year} • ${rating}${certification}
+                </div>
+                ${this.createVisualConfidence(movieData)}
+                ${this.createReleaseDates(release)}
+                <div class="movie-genres">${genreText}</div>
+                <div class="movie-overview">${this.escapeHtml(movieData.overview || 'No description available.')}</div>
+                ${this.createTrailerButton(movieData, markerId)}
+                <div class="watch-providers"></div>
+                ${this.createRelatedSection(markerId)}
+            `;
+        }
+        
+        // Filled in when the provider list arrives, so the card shows at once
+        this.renderWatchProviders(movieCard.querySelector('.watch-providers'), movieData);
+          
+        return movieCard;  
+    }  
+
+    createTrailerButton(movieData, markerId) {
+        if (!movieData.trailer) return '';
+        const label = movieData.trailer.type === 'Teaser' ? 'Teaser' : 'Trailer';
+        return `<button class="trailer-btn" onclick="window.arScanner.playTrailer('${markerId}')">▶ ${label}</button>`;
+    }
+
+    // YouTube and Vimeo don't allow their streams as WebGL video textures
+    // (no CORS), so trailers play in an overlay above the running AR scene
+    playTrailer(markerId) {
+        const trailer = this.movieMarkers.get(markerId)?.movieData.trailer;
+        if (!trailer) return;
+
+        this.closeTrailer();
+
+        const src = trailer.site === 'Vimeo'
+            ? `https://player.vimeo.com/video/${encodeURIComponent(trailer.key)}?autoplay=1&playsinline=1`
+            : `https://www.youtube-nocookie.com/embed/${encodeURIComponent(trailer.key)}?autoplay=1&playsinline=1&rel=0`;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'trailer-overlay';
+        overlay.innerHTML = `
+            <div class="trailer-frame">
+                <div class="close-btn" aria-label="Close trailer"></div>
+                <iframe src="${src}" title="Trailer" allow="autoplay; encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>
+            </div>
+        `;
+
+        // Tapping outside the video or the close button stops playback
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay || event.target.closest('.close-btn')) {
+                this.closeTrailer();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        this.trailerOverlay = overlay;
+        console.log('🎞️ Playing trailer:', trailer.name);
+    }
+
+    closeTrailer() {
+        if (this.trailerOverlay) {
+            // Removing the iframe stops the video
+            this.trailerOverlay.remove();
+            this.trailerOverlay = null;
+        }
+    }
+
+    createRelatedSection(markerId) {
+        return `
+            <button class="related-toggle" onclick="window.arScanner.toggleRelated('${markerId}')">More like this</button>
+            <div class="related-carousel"></div>
+        `;
+    }
+
+    // Expands the card's carousel, loading the titles on first open
+    async toggleRelated(markerId) {
+        const marker = this.movieMarkers.get(markerId);
+        if (!marker) return;
+
+        const card = marker.movieCard;
+        if (card.classList.toggle('related-open') === false) return;
+
+        const carousel = card.querySelector('.related-carousel');
+        if (carousel.dataset.loaded) return;
+        carousel.dataset.loaded = 'true';
+        carousel.textContent = 'Loading…';
+
+        const titles = await this.tmdbService.getRelatedTitles(marker.movieData);
+        carousel.textContent = '';
+
+        if (titles.length === 0) {
+            carousel.textContent = 'No suggestions for this title.';
+            return;
+        }
+
+        titles.forEach(title => {
+            const item = document.createElement('button');
+            item.className = 'related-item';
+
+            const thumb = document.createElement(title.poster_path ? 'img' : 'div');
+            if (title.poster_path) {
+                thumb.alt = '';
+                this.tmdbService.loadImage(`${CONFIG.TMDB.IMAGE_BASE_URL}/${CONFIG.TMDB.IMAGE_SIZES.THUMBNAIL}${title.poster_path}`, thumb)
+                    .catch(error => console.warn('⚠️', error.message));
+            } else {
+                thumb.className = 'related-thumb-empty';
+            }
+
+            const name = document.createElement('span');
+            name.textContent = title.title || title.name;
+
+            item.append(thumb, name);
+            item.addEventListener('click', () => this.openRelated(markerId, title));
+            carousel.appendChild(item);
+        });
+    }
+
+    // Places the picked title's card beside the one it came from
+    async openRelated(markerId, title) {
+        const marker = this.movieMarkers.get(markerId);
+        if (!marker) return;
+
+        this.showLoading();
+        try {
+            const movieData = await this.tmdbService.getMatchDetails(title);
+
+            const rect = marker.movieCard.getBoundingClientRect();
+            const gap = 20;
+            const fitsRight = rect.right + gap + rect.width <= window.innerWidth;
+            const x = fitsRight ? rect.right + gap + rect.width / 2 : Math.max(rect.width / 2, rect.left - gap - rect.width / 2);
+            const y = rect.top + rect.height / 2;
+
+            this.placeARMovieMarker(x, y, movieData, await this.surfaceHit(x, y));
+            this.updateStatus(`Opened: ${movieData.title}`);
+        } catch (error) {
+            console.error('❌ Failed to open related title:', error);
+            this.showError('Could not load that title. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async renderWatchProviders(container, movieData) {
+        const providers = await this.tmdbService.getWatchProviders(movieData);
+        if (!providers) return;
+
+        // Flat-rate and free first; rent and buy usually list the same stores twice
+        const seen = new Set();
+        const groups = [
+            ['Stream', [...providers.stream, ...providers.free]],
+            ['Rent or buy', [...providers.rent, ...providers.buy]]
+        ].map(([label, list]) => [label, list.filter(provider => {
+            if (seen.has(provider.id)) return false;
+            seen.add(provider.id);
+            return true;
+        }).slice(0, this.maxProviderLogos)]).filter(([, list]) => list.length > 0);
+
+        if (groups.length === 0) return;
+
+        // Built with DOM calls: names and links come from TMDb, not from us
+        groups.forEach(([label, list]) => {
+            const group = document.createElement('div');
+            group.className = 'watch-providers-group';
+
+            const heading = document.createElement('span');
+            heading.className = 'watch-providers-label';
+            heading.textContent = label;
+            group.appendChild(heading);
+
+            list.forEach(provider => {
+                const entry = document.createElement(provider.logo ? 'img' : 'span');
+                if (provider.logo) {
+                    entry.className = 'watch-provider-logo';
+                    entry.src = provider.logo;
+                    entry.alt = provider.name;
+                    entry.title = provider.name;
+                } else {
+                    entry.className = 'watch-provider-name';
+                    entry.textContent = provider.name;
+                }
+                group.appendChild(entry);
+            });
+
+            container.appendChild(group);
+        });
+
+        if (this.isSafeLink(providers.link)) {
+            const link = document.createElement('a');
+            link.className = 'watch-providers-link';
+            link.href = providers.link;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = `Where to watch in ${providers.region} ›`;
+            container.appendChild(link);
+        }
+
+        const credit = document.createElement('div');
+        credit.className = 'watch-providers-credit';
+        credit.textContent = 'Data by JustWatch';
+        container.appendChild(credit);
+        container.classList.add('loaded');
+    }
+
+    // For API text placed in the card templates
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Only https: links from API data make it into an href
+    isSafeLink(url) {
+        try {
+            return new URL(url).protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // How closely the scanned poster matched TMDb's artwork, if it was checked
+    createVisualConfidence(movieData) {
+        if (typeof movieData.visualScore !== 'number') return '';
+        const percent = Math.round(movieData.visualScore * 100);
+        const low = this.posterVerifier.isLowConfidence(movieData.visualScore);
+        return `
+            <div class="visual-confidence${low ? ' low' : ''}">
+                Poster match ${percent}%${low ? ' – double-check the title' : ''}
+            </div>
+        `;
+    }
+
+    // "In cinemas now" / "Coming on 12 Dec 2025", worked out by TMDbService.getLocalRelease
+    createReleaseBadge(release) {
+        if (!release.badge) return '';
+        const text = release.badge.status === 'in_cinemas'
+            ? 'In cinemas now'
+            : `Coming on ${this.formatDate(release.badge.date)}`;
+        return `<div class="release-badge ${release.badge.status.replace('_', '-')}">${text}</div>`;
+    }
+
+    createReleaseDates(release) {
+        const dates = [
+            ['Cinemas', release.theatrical],
+            ['Digital', release.digital],
+            ['Disc', release.physical]
+        ].filter(([, date]) => date);
+        if (dates.length === 0) return '';
+
+        return `
+            <div class="release-dates">
+                ${dates.map(([label, date]) => `${label} ${this.formatDate(date)}`).join(' • ')} (${release.region})
+            </div>
+        `;
+    }
+
+    formatDate(isoDate) {
+        // Noon UTC so the day doesn't shift in the user's time zone
+        const date = new Date(`${isoDate}T12:00:00Z`);
+        return new Intl.DateTimeFormat(this.preferences.get('language'), {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        }).format(date);
+    }
+
+    createSeriesCardContent(showData, markerId, rating, genreText, certification = '') {
+        // "2008–2013" for finished runs, "2016–" while still on air
+        const firstYear = showData.release_date?.substring(0, 4) || '?';
+        const lastYear = showData.last_air_date?.substring(0, 4);
+        const ended = !showData.in_production && lastYear;
+        const years = ended && lastYear !== firstYear ? `${firstYear}–${lastYear}` : ended ? firstYear : `${firstYear}–`;
+
+        const seasons = `${showData.number_of_seasons} season${showData.number_of_seasons === 1 ? '' : 's'}`;
+        const episodes = `${showData.number_of_episodes} episode${showData.number_of_episodes === 1 ? '' : 's'}`;
+        const networks = showData.networks.length > 0 ? this.escapeHtml(showData.networks.join(', ')) : null;
+        const creators = showData.creators.length > 0 ? this.escapeHtml(showData.creators.join(', ')) : null;
+        const status = showData.status ? ` • <span class="series-status">${this.escapeHtml(showData.status)}</span>` : '';
+
+        return `
             <div class="close-btn" onclick="window.arScanner.removeMarker('${markerId}')">×</div>
-            <div class="movie-title">${movieData.title}</div>
+            <div class="series-badge">TV Series</div>
+            <div class="movie-title">${this.escapeHtml(showData.title)}</div>
             <div class="movie-meta">
-                ${year} • ${rating}
+                ${years} • ${rating}${certification}
             </div>
+            ${this.createVisualConfidence(showData)}
+            <div class="series-meta">
+                ${seasons} • ${episodes}${status}
+            </div>
+            ${networks ? `<div class="series-meta">On ${networks}</div>` : ''}
+            ${creators ? `<div class="series-meta">Created by ${creators}</div>` : ''}
             <div class="movie-genres">${genreText}</div>
-            <div class="movie-overview">${movieData.overview || 'No description available.'}</div>
-        `;  
-          
-        return movieCard;  
-    }  
-  
-    startEntityTracking(markerId) {  
-        const marker = this.movieMarkers.get(markerId);  
-        if (!marker) return;  
-          
-        const updatePosition = () => {  
-            if (!this.movieMarkers.has(markerId)) return;  
-              
-            // FIXED: Enhanced 3D to 2D projection with Z-axis scaling  
-            const screenPos = this.project3DToScreen(marker.worldPosition);  
-            if (screenPos && screenPos.visible) {  
-                marker.movieCard.style.left = `${screenPos.x}px`;  
-                marker.movieCard.style.top = `${screenPos.y}px`;  
-                marker.movieCard.style.transform = `translate(-50%, -50%) scale(${screenPos.scale})`;  
-                marker.movieCard.style.opacity = screenPos.opacity;  
-                marker.movieCard.style.display = 'block';  
-            } else {  
-                marker.movieCard.style.display = 'none';  
-            }  
-              
-            requestAnimationFrame(updatePosition);  
-        };  
-          
-        updatePosition();  
-    }  
+            <div class="movie-overview">${this.escapeHtml(showData.overview || 'No description available.')}</div>
+            ${this.createTrailerButton(showData, markerId)}
+            <div class="watch-providers"></div>
+            ${this.createRelatedSection(markerId)}
+        `;
+    }
   
 project3DToScreen(worldPos) {  
     try {  
@@ -434,7 +1394,6 @@ project3DToScreen(worldPos) {
         const camera = scene.camera;  
           
         if (!camera) {  
-            console.warn('⚠️ AR Camera not found');  
             return { visible: false };  
         }  
           
@@ -456,14 +1415,10 @@ project3DToScreen(worldPos) {
         const y = (projected.y * -0.5 + 0.5) * window.innerHeight;  
           
         // Enhanced scaling based on distance  
-        const baseDistance = 2.5;  
-        const scale = Math.max(0.3, Math.min(1.5, baseDistance / Math.max(distance, 0.1)));  
-        const opacity = Math.max(0.4, Math.min(1.0, baseDistance / Math.max(distance, 0.1)));  
+        const { scale, opacity } = this.depthStyle(distance);  
           
         const visible = projected.z < 1 && distance < 10;  
           
-        console.log(`Distance: ${distance.toFixed(2)}, Scale: ${scale.toFixed(2)}`); // Debug log  
-          
         return { x, y, scale, opacity, visible, distance };  
           
     } catch (error) {  
@@ -472,9 +1427,56 @@ project3DToScreen(worldPos) {
     }  
 }
   
+    // Same as project3DToScreen, from the WebXR viewer pose
+    projectXRToScreen(worldPos) {
+        const projected = this.xrTracking.project(worldPos);
+        if (!projected) return { visible: false };
+
+        const { x, y, distance, inFront } = projected;
+        const { scale, opacity } = this.depthStyle(distance);
+        return { x, y, scale, opacity, visible: inFront && distance < 10, distance };
+    }
+
+    // Cards shrink and fade with distance, relative to the 2.5m placement distance
+    depthStyle(distance) {
+        const baseDistance = 2.5;
+        return {
+            scale: Math.max(0.3, Math.min(1.5, baseDistance / Math.max(distance, 0.1))),
+            opacity: Math.max(0.4, Math.min(1.0, baseDistance / Math.max(distance, 0.1)))
+        };
+    }
+
+    // Re-renders the placed cards after a language change
+    async refreshMarkers() {
+        for (const [markerId, marker] of this.movieMarkers) {
+            try {
+                const details = await this.tmdbService.getMatchDetails(marker.movieData);
+                if (!this.movieMarkers.has(markerId)) continue;
+                const movieData = { ...details, visualScore: marker.movieData.visualScore };
+
+                const movieCard = this.create2DOverlayCard(movieData, markerId);
+                movieCard.style.cssText = marker.movieCard.style.cssText;
+                marker.movieCard.replaceWith(movieCard);
+                marker.movieCard = movieCard;
+                marker.movieData = movieData;
+
+                // A new language can make the title drawable in the scene, or not
+                const hadSceneCard = marker.sceneCard;
+                this.renderSceneCard(marker);
+                if (marker.sceneCard !== hadSceneCard) {
+                    this.applyCardMode(marker);
+                    if (marker.sceneCard) this.loadCardPoster(marker.arEntity, movieData);
+                }
+            } catch (error) {
+                console.warn('⚠️ Could not refresh card:', marker.movieData.title, error.message);
+            }
+        }
+    }
+
     removeMarker(markerId) {  
         const marker = this.movieMarkers.get(markerId);  
         if (marker) {  
+            this.xrTracking.releaseAnchor(marker.anchor);
             marker.arEntity.remove();  
             marker.movieCard.remove();  
             this.movieMarkers.delete(markerId);  
@@ -485,6 +1487,7 @@ project3DToScreen(worldPos) {
     clearAllMarkers() {  
         console.log('🧹 Clearing all AR markers...');  
         this.movieMarkers.forEach((marker, markerId) => {  
+            this.xrTracking.releaseAnchor(marker.anchor);
             marker.arEntity.remove();  
             marker.movieCard.remove();  
         });  
@@ -0,0 +1,59 @@
+// scripts/replay-vision-fixtures.js - Replays recorded OCR responses through the title pipeline
+// Usage: npm run replay:vision [-- --verbose]
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { extractGenericTitle } from '../api/title-extraction.js';
+import { extractPosterMetadata } from '../api/poster-metadata.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'api', 'fixtures', 'vision');
+const verbose = process.argv.includes('--verbose');
+
+const files = readdirSync(fixturesDir).filter(file => file.endsWith('.json')).sort();
+let failures = 0;
+
+for (const file of files) {
+    const fixture = JSON.parse(readFileSync(join(fixturesDir, file), 'utf8'));
+    const { textAnnotations = [], fullTextAnnotation = null } = fixture.response;
+
+    // The pipeline logs every step; keep the report readable unless asked
+    const log = console.log;
+    if (!verbose) console.log = () => {};
+
+    let result;
+    let metadata;
+    try {
+        result = textAnnotations.length > 0
+            ? extractGenericTitle(textAnnotations.slice(1), textAnnotations[0].description, fullTextAnnotation, fixture.focus || null)
+            : { title: null, candidates: [] };
+        metadata = extractPosterMetadata(textAnnotations[0]?.description || '', result.candidates);
+    } finally {
+        console.log = log;
+    }
+
+    // expectedMetadata pins only the fields worth checking, e.g. { "actors": [...] }
+    const metadataMismatches = Object.entries(fixture.expectedMetadata || {})
+        .filter(([key, expected]) => JSON.stringify(metadata[key]) !== JSON.stringify(expected))
+        .map(([key, expected]) => `${key}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(metadata[key])}`);
+    const titleMatched = result.title === fixture.expectedTitle;
+
+    if (fixture.expectedTitle === undefined || fixture.expectedTitle === null) {
+        console.log(`⏺️  ${file}: "${result.title}" (no expectedTitle recorded)`);
+    } else if (titleMatched && metadataMismatches.length === 0) {
+        console.log(`✅ ${file}: "${result.title}"`);
+    } else {
+        failures++;
+        if (titleMatched) {
+            console.log(`❌ ${file}: "${result.title}", but the metadata differs`);
+        } else {
+            console.log(`❌ ${file}: expected "${fixture.expectedTitle}", got "${result.title}"`);
+            result.candidates.forEach((candidate, i) => {
+                console.log(`   ${i + 1}. "${candidate.text}" (score: ${candidate.score})`);
+            });
+        }
+    }
+    metadataMismatches.forEach(mismatch => console.log(`   ${mismatch}`));
+}
+
+console.log(`\n${files.length - failures}/${files.length} fixtures matched`);
+process.exitCode = failures > 0 ? 1 : 0;
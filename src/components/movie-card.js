@@ -0,0 +1,155 @@
+// src/components/movie-card.js - In-scene movie cards and the system that moves them
+// Registers on the global AFRAME loaded by index.html
+
+// Card size in metres
+const CARD_WIDTH = 1.0;
+const CARD_HEIGHT = 0.5;
+const POSTER_WIDTH = 0.3;
+const POSTER_HEIGHT = 0.45;
+const PADDING = 0.025;
+
+// A-Frame's bundled MSDF font only has ASCII glyphs. Accents are dropped
+// ("Amélie" becomes "Amelie"); returns null for text it can't draw at all.
+export function toCardText(text) {
+    const plain = (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return /^[\x20-\x7e]*$/.test(plain) ? plain : null;
+}
+
+function createText(options) {
+    const entity = document.createElement('a-entity');
+    entity.setAttribute('position', { x: options.x, y: options.y, z: 0.002 });
+    entity.setAttribute('text', {
+        value: '',
+        width: options.width,
+        wrapCount: options.wrapCount,
+        color: options.color,
+        anchor: 'left',
+        baseline: 'top',
+        align: 'left'
+    });
+    return entity;
+}
+
+// Poster, title, year/rating line and genres on a dark panel
+AFRAME.registerComponent('movie-card', {
+    schema: {
+        title: { type: 'string' },
+        meta: { type: 'string' },
+        genres: { type: 'string' },
+        poster: { type: 'map' } // Loaded <img> (TMDbService.loadImage); blank shows a placeholder
+    },
+
+    init() {
+        const textX = -CARD_WIDTH / 2 + POSTER_WIDTH + PADDING * 2;
+        const textWidth = CARD_WIDTH - POSTER_WIDTH - PADDING * 3;
+
+        this.el.setAttribute('geometry', { primitive: 'plane', width: CARD_WIDTH, height: CARD_HEIGHT });
+        this.el.setAttribute('material', { color: '#111111', opacity: 0.85, transparent: true, shader: 'flat' });
+
+        this.poster = document.createElement('a-entity');
+        this.poster.setAttribute('geometry', { primitive: 'plane', width: POSTER_WIDTH, height: POSTER_HEIGHT });
+        this.poster.setAttribute('position', { x: -CARD_WIDTH / 2 + PADDING + POSTER_WIDTH / 2, y: 0, z: 0.001 });
+
+        this.title = createText({ x: textX, y: CARD_HEIGHT / 2 - PADDING, width: textWidth, wrapCount: 16, color: '#ffffff' });
+        this.meta = createText({ x: textX, y: 0.07, width: textWidth, wrapCount: 28, color: '#00ff88' });
+        this.genres = createText({ x: textX, y: 0, width: textWidth, wrapCount: 30, color: '#cccccc' });
+
+        this.el.append(this.poster, this.title, this.meta, this.genres);
+    },
+
+    update(oldData) {
+        this.title.setAttribute('text', 'value', this.data.title);
+        this.meta.setAttribute('text', 'value', this.data.meta);
+        this.genres.setAttribute('text', 'value', this.data.genres);
+
+        if (this.data.poster !== oldData.poster) {
+            this.setPoster(this.data.poster);
+        }
+    },
+
+    setPoster(image) {
+        if (!image) {
+            this.poster.setAttribute('material', { color: '#333333', shader: 'flat' });
+            return;
+        }
+        this.poster.setAttribute('material', { src: image, color: '#ffffff', shader: 'flat' });
+    },
+
+    remove() {
+        [this.poster, this.title, this.meta, this.genres].forEach(child => child.remove());
+        this.el.removeAttribute('geometry');
+        this.el.removeAttribute('material');
+    }
+});
+
+// Moves every marker once per frame, instead of one animation loop per card:
+// follows its world position (which WebXR anchors update in place), turns the
+// in-scene card to face the camera, works out where it is on screen for tap
+// hit-testing, and positions its DOM card when that is shown.
+AFRAME.registerSystem('movie-card', {
+    init() {
+        this.markers = new Map();
+        this.project = () => ({ visible: false });
+        this.cameraPosition = new THREE.Vector3();
+    },
+
+    // `markers` is the app's marker map, with { arEntity, movieCard, worldPosition,
+    // overlayVisible } entries; project(position) returns { x, y, scale, opacity,
+    // visible } in screen pixels
+    configure({ markers, project }) {
+        this.markers = markers;
+        this.project = project;
+    },
+
+    tick() {
+        const camera = this.el.camera;
+        if (this.markers.size === 0 || !camera) return;
+
+        camera.getWorldPosition(this.cameraPosition);
+        this.markers.forEach(marker => this.updateMarker(marker));
+    },
+
+    updateMarker(marker) {
+        const { x, y, z } = marker.worldPosition;
+        const object = marker.arEntity.object3D;
+        object.position.set(x, y, z);
+
+        // Turn around the vertical axis only, so the text stays upright
+        const yaw = Math.atan2(this.cameraPosition.x - x, this.cameraPosition.z - z);
+        object.rotation.set(0, yaw, 0);
+
+        const screen = this.project(marker.worldPosition);
+        marker.screenRect = screen.visible && object.visible ? this.getScreenRect(marker.worldPosition, yaw) : null;
+
+        const card = marker.movieCard;
+        if (marker.overlayVisible && screen.visible) {
+            card.style.left = `${screen.x}px`;
+            card.style.top = `${screen.y}px`;
+            card.style.transform = `translate(-50%, -50%) scale(${screen.scale})`;
+            card.style.opacity = screen.opacity;
+            card.style.display = 'block';
+        } else if (card.style.display !== 'none') {
+            card.style.display = 'none';
+        }
+    },
+
+    // Screen box around the in-scene card, from its projected edges
+    getScreenRect(position, yaw) {
+        const halfWidth = CARD_WIDTH / 2;
+        const halfHeight = CARD_HEIGHT / 2;
+        const dx = Math.cos(yaw) * halfWidth;
+        const dz = -Math.sin(yaw) * halfWidth;
+
+        const edges = [
+            { x: position.x - dx, y: position.y, z: position.z - dz },
+            { x: position.x + dx, y: position.y, z: position.z + dz },
+            { x: position.x, y: position.y + halfHeight, z: position.z },
+            { x: position.x, y: position.y - halfHeight, z: position.z }
+        ].map(edge => this.project(edge));
+        if (edges.some(edge => !edge.visible)) return null;
+
+        const xs = edges.map(edge => edge.x);
+        const ys = edges.map(edge => edge.y);
+        return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+    }
+});
@@ -1,36 +1,19 @@
 // config.js - Simple Configuration
 
-let API_KEY = null;
-
-// Load API key from server
-async function loadApiKey() {
-    try {
-        console.log('🔑 Loading API key from server...');
-        const response = await fetch('/api/env');
-        if (response.ok) {
-            const data = await response.json();
-            API_KEY = data.VITE_TMDB_API_KEY;
-            console.log('✅ API key loaded from server successfully');
-            return API_KEY;
-        } else {
-            console.warn('⚠️ Server API key endpoint returned:', response.status);
-        }
-    } catch (error) {
-        console.warn('⚠️ Could not load API key from server:', error.message);
-    }
-    return null;
-}
-
-// Load immediately and wait for it
-const apiKeyPromise = loadApiKey();
-
+// TMDb is reached through the server-side proxy (/api/tmdb), which adds the API key
 export const CONFIG = {
     TMDB: {
-        BASE_URL: 'https://api.themoviedb.org/3',
+        BASE_URL: '/api/tmdb',
+        // Fixture-backed stand-in (api/tmdb-mock.js), also enabled with ?tmdb=mock
+        USE_MOCK: false,
+        MOCK_BASE_URL: '/api/tmdb-mock',
         IMAGE_BASE_URL: 'https://image.tmdb.org/t/p',
         IMAGE_SIZES: {
             POSTER: 'w500',
-            BACKDROP: 'w1280'
+            BACKDROP: 'w1280',
+            THUMBNAIL: 'w92',
+            CARD: 'w185',
+            LOGO: 'w92'
         },
         ENDPOINTS: {
             SEARCH_MOVIE: '/search/movie',
@@ -38,17 +21,121 @@ export const CONFIG = {
         }
     },
     
-    API_KEYS: {
-        get TMDB() {
-            return API_KEY;
+    // Persistent TMDb cache (IndexedDB). TTLs in milliseconds.
+    CACHE: {
+        DB_NAME: 'ar-poster-cache',
+        TTL: {
+            SEARCH: 24 * 60 * 60 * 1000,       // Search results: 1 day
+            DETAILS: 7 * 24 * 60 * 60 * 1000,  // Movie/TV details: 1 week
+            IMAGE: 30 * 24 * 60 * 60 * 1000,   // Poster images: 30 days
+            GENRES: 7 * 24 * 60 * 60 * 1000,   // Genre lists: 1 week
+            PROVIDERS: 24 * 60 * 60 * 1000,    // Where-to-watch lists: 1 day
+            RELATED: 24 * 60 * 60 * 1000       // Recommendations and similar titles: 1 day
         },
-        // Async getter for when you need to ensure the key is loaded
-        async getTMDB() {
-            if (API_KEY) return API_KEY;
-            return await apiKeyPromise;
-        }
+        MAX_BYTES: 50 * 1024 * 1024,  // Least recently used entries go first past this
+        MAX_ENTRIES: 2000
+    },
+    
+    // Language/region for TMDb titles, overviews and genres. The user's
+    // choice is stored in localStorage; these are the first-run defaults.
+    PREFERENCES: {
+        STORAGE_KEY: 'ar-poster-preferences',
+        DEFAULT_LANGUAGE: 'en-US',
+        DEFAULT_REGION: 'US',
+        DEFAULT_CARD_MODE: '3d',
+        // '3d' draws cards in the scene; 'dom' keeps them as screen overlays,
+        // which screen readers, zoom and non-Latin titles work with
+        CARD_MODES: [
+            { value: '3d', label: '3D cards' },
+            { value: 'dom', label: 'Screen cards' }
+        ],
+        LOCALES: [
+            { language: 'en-US', region: 'US', label: 'English (US)' },
+            { language: 'en-GB', region: 'GB', label: 'English (UK)' },
+            { language: 'es-ES', region: 'ES', label: 'Español' },
+            { language: 'fr-FR', region: 'FR', label: 'Français' },
+            { language: 'de-DE', region: 'DE', label: 'Deutsch' },
+            { language: 'it-IT', region: 'IT', label: 'Italiano' },
+            { language: 'pt-BR', region: 'BR', label: 'Português (BR)' },
+            { language: 'ja-JP', region: 'JP', label: '日本語' },
+            { language: 'ko-KR', region: 'KR', label: '한국어' },
+            { language: 'zh-CN', region: 'CN', label: '中文' },
+            { language: 'hi-IN', region: 'IN', label: 'हिन्दी' }
+        ],
+        // Countries for where-to-watch listings. Picking a language selects
+        // its country; this list lets the user change it independently.
+        REGIONS: [
+            { code: 'US', label: 'United States' },
+            { code: 'CA', label: 'Canada' },
+            { code: 'GB', label: 'United Kingdom' },
+            { code: 'IE', label: 'Ireland' },
+            { code: 'AU', label: 'Australia' },
+            { code: 'IN', label: 'India' },
+            { code: 'DE', label: 'Germany' },
+            { code: 'FR', label: 'France' },
+            { code: 'ES', label: 'Spain' },
+            { code: 'IT', label: 'Italy' },
+            { code: 'NL', label: 'Netherlands' },
+            { code: 'SE', label: 'Sweden' },
+            { code: 'BR', label: 'Brazil' },
+            { code: 'MX', label: 'Mexico' },
+            { code: 'JP', label: 'Japan' },
+            { code: 'KR', label: 'South Korea' },
+            { code: 'CN', label: 'China' }
+        ]
+    },
+    
+    // WebXR surface tracking; without it markers sit at a fixed distance along the tap
+    XR: {
+        ENABLED: true,
+        HIT_TEST_TIMEOUT_MS: 500 // How long a tap waits for a surface before falling back
+    },
+
+    // Hands-free scanning (AUTO button)
+    AUTO_SCAN: {
+        INTERVAL_MS: 700,          // Between frame samples
+        MIN_SCAN_GAP_MS: 3000,     // Between OCR calls, well under the server's default 30 scans/min
+        ERROR_BACKOFF_MS: 10000,   // Pause after a scan fails or finds nothing
+        MAX_MOTION: 0.04,          // Mean brightness change between samples (0..1) still counted as steady
+        MIN_SHARPNESS: 60,         // Laplacian variance; blurrier frames are skipped
+        MIN_SCENE_CHANGE: 0.2,     // 1 - image similarity to the last scanned frame
+        BUDGET: 30                 // Paid OCR calls per AR session
+    },
+
+    // Scan history drawer (IndexedDB)
+    HISTORY: {
+        DB_NAME: 'ar-poster-history',
+        MAX_ENTRIES: 500,          // Oldest scans are dropped past this
+        THUMBNAIL_WIDTH: 160,      // Pixels; frames are stored as small JPEGs
+        THUMBNAIL_QUALITY: 0.7,
+        EXPORT_URL_LIFETIME_MS: 10000 // How long the export's blob URL outlives the download click
+    },
+
+    // Comparing the scanned poster with TMDb artwork to rerank matches
+    VISUAL: {
+        ENABLED: true,
+        CANDIDATES: 4,         // Top matches whose posters are downloaded and compared
+        WEIGHT: 0.4,           // How far a perfect/no visual match moves the text score (±WEIGHT/2)
+        HASH_WEIGHT: 0.4,      // Share of the dHash in the visual score; the rest is colour histogram
+        LOW_CONFIDENCE: 0.6,   // Below this the card asks the user to double-check
+        REGION_HEIGHT: 0.8     // Assumed poster height as a share of the frame
+    },
+    
+    RELATED: {
+        MAX_TITLES: 12  // Titles in a card's "More like this" carousel
+    },
+    
+    RELEASES: {
+        // How long after its local release a film counts as "in cinemas now"
+        CINEMA_RUN_DAYS: 60
+    },
+    
+    OCR: {
+        // BCP-47 codes sent with each scan, e.g. ['ja', 'en']. Empty uses the server default.
+        LANGUAGE_HINTS: []
     },
 
+    // Offline fallback only; the live lists come from TMDb's genre endpoints
     GENRES: {
         28: 'Action', 12: 'Adventure', 16: 'Animation', 35: 'Comedy',
         80: 'Crime', 99: 'Documentary', 18: 'Drama', 10751: 'Family',
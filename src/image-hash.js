@@ -0,0 +1,36 @@
+// src/image-hash.js - 64-bit difference hash (dHash), shared by the server's OCR
+// cache (api/phash-cache.js) and the client's poster verification
+
+// The image is shrunk to 9x8 and each pixel compared with its right neighbour
+export const HASH_WIDTH = 9;
+export const HASH_HEIGHT = 8;
+
+// `pixels` is the RGBA data of a HASH_WIDTH x HASH_HEIGHT image. Bits run row
+// by row from the top left, most significant first; a bit is set when the
+// left pixel of a pair is brighter.
+export function computeDHash(pixels) {
+    const grey = index => pixels[index] * 0.299 + pixels[index + 1] * 0.587 + pixels[index + 2] * 0.114;
+    let hash = 0n;
+
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = grey((y * HASH_WIDTH + x) * 4);
+            const right = grey((y * HASH_WIDTH + x + 1) * 4);
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+
+    return hash;
+}
+
+// Number of differing bits between two hashes
+export function hammingDistance(hashA, hashB) {
+    let diff = hashA ^ hashB;
+    let distance = 0;
+
+    while (diff > 0n) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+}
@@ -0,0 +1,168 @@
+// src/services/AutoScanService.js - Hands-free scanning of steady, sharp and new camera frames
+import { CONFIG } from '../config.js';
+
+// Motion and blur are measured on a small greyscale copy of each frame
+const SAMPLE_WIDTH = 160;
+const SAMPLE_HEIGHT = 120;
+
+// Samples a frame every INTERVAL_MS and only hands it to `scan` when the camera
+// is steady, the image is sharp and the scene differs from the last one scanned.
+// Paid OCR calls are counted against a per-session budget.
+export class AutoScanService {
+    // - captureFrame(): resolves a canvas of the current camera frame
+    // - scan(canvas): scans it, resolving { cached } (cached OCR results are free)
+    // - canScan(): false while a manual scan is running
+    // - posterVerifier: its image signatures tell whether the scene changed
+    // - onUpdate(): called when running state or the scan count changes
+    constructor({ captureFrame, scan, canScan = () => true, posterVerifier, onUpdate = () => {} }) {
+        this.captureFrame = captureFrame;
+        this.scan = scan;
+        this.canScan = canScan;
+        this.posterVerifier = posterVerifier;
+        this.onUpdate = onUpdate;
+
+        this.budget = CONFIG.AUTO_SCAN.BUDGET;
+        this.scansUsed = 0;
+        this.running = false;
+        this.timer = null;
+        this.sampling = false;
+        this.previousSample = null;
+        this.lastScanSignature = null;
+        this.lastScanAt = 0;
+        this.pausedUntil = 0;
+        this.scratch = null;
+    }
+
+    get remaining() {
+        return Math.max(0, this.budget - this.scansUsed);
+    }
+
+    // Returns false when the budget is already spent
+    start() {
+        if (this.running) return true;
+        if (this.remaining === 0) return false;
+
+        this.running = true;
+        this.previousSample = null;
+        this.timer = setInterval(() => this.tick(), CONFIG.AUTO_SCAN.INTERVAL_MS);
+        console.log(`🤖 Auto-scan on (${this.remaining} scans left)`);
+        this.onUpdate();
+        return true;
+    }
+
+    stop() {
+        if (!this.running) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.running = false;
+        console.log('🤖 Auto-scan off');
+        this.onUpdate();
+    }
+
+    // A new AR session gets a fresh budget
+    resetBudget() {
+        this.scansUsed = 0;
+        this.lastScanSignature = null;
+        this.pausedUntil = 0;
+        this.onUpdate();
+    }
+
+    async tick() {
+        if (!this.running || this.sampling || !this.canScan()) return;
+        this.sampling = true;
+
+        try {
+            const canvas = await this.captureFrame();
+            const sample = this.getGreySample(canvas);
+            const motion = this.previousSample ? this.measureMotion(sample, this.previousSample) : Infinity;
+            this.previousSample = sample;
+
+            const now = Date.now();
+            if (motion > CONFIG.AUTO_SCAN.MAX_MOTION) return;
+            if (now < this.pausedUntil || now - this.lastScanAt < CONFIG.AUTO_SCAN.MIN_SCAN_GAP_MS) return;
+            if (this.measureSharpness(sample) < CONFIG.AUTO_SCAN.MIN_SHARPNESS) return;
+
+            const signature = this.posterVerifier.getSignature(canvas, { x: 0, y: 0, width: canvas.width, height: canvas.height });
+            if (this.lastScanSignature) {
+                const change = 1 - this.posterVerifier.compareSignatures(signature, this.lastScanSignature);
+                if (change < CONFIG.AUTO_SCAN.MIN_SCENE_CHANGE) return;
+            }
+
+            // Recorded before scanning, so a scene without a poster isn't retried
+            this.lastScanSignature = signature;
+            this.lastScanAt = now;
+            await this.runScan(canvas);
+        } catch (error) {
+            console.warn('⚠️ Auto-scan frame skipped:', error.message);
+        } finally {
+            this.sampling = false;
+        }
+    }
+
+    async runScan(canvas) {
+        try {
+            const result = await this.scan(canvas);
+            if (!result?.cached) this.scansUsed++;
+        } catch (error) {
+            // No text, rate limits and outages all count and back off the same way
+            this.scansUsed++;
+            this.pausedUntil = Date.now() + CONFIG.AUTO_SCAN.ERROR_BACKOFF_MS;
+            console.warn('⚠️ Auto-scan found nothing usable:', error.message);
+        }
+
+        if (this.remaining === 0) {
+            console.log('💸 Auto-scan budget used up');
+            this.stop();
+        }
+        this.onUpdate();
+    }
+
+    getGreySample(canvas) {
+        if (!this.scratch) {
+            this.scratch = document.createElement('canvas');
+            this.scratch.width = SAMPLE_WIDTH;
+            this.scratch.height = SAMPLE_HEIGHT;
+        }
+
+        const ctx = this.scratch.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(canvas, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        const pixels = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT).data;
+
+        const grey = new Float32Array(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+        for (let i = 0; i < grey.length; i++) {
+            grey[i] = pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114;
+        }
+        return grey;
+    }
+
+    // Mean brightness change between two samples, 0..1
+    measureMotion(sample, previous) {
+        let total = 0;
+        for (let i = 0; i < sample.length; i++) {
+            total += Math.abs(sample[i] - previous[i]);
+        }
+        return total / sample.length / 255;
+    }
+
+    // Variance of the Laplacian: edges are strong in focused frames and
+    // smeared out in blurry ones
+    measureSharpness(sample) {
+        let sum = 0;
+        let sumOfSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < SAMPLE_HEIGHT - 1; y++) {
+            for (let x = 1; x < SAMPLE_WIDTH - 1; x++) {
+                const i = y * SAMPLE_WIDTH + x;
+                const laplacian = sample[i - 1] + sample[i + 1] + sample[i - SAMPLE_WIDTH] + sample[i + SAMPLE_WIDTH] - 4 * sample[i];
+                sum += laplacian;
+                sumOfSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+
+        const mean = sum / count;
+        return sumOfSquares / count - mean * mean;
+    }
+}
@@ -0,0 +1,186 @@
+// src/services/CacheService.js - Persistent key/value cache on IndexedDB with TTLs and LRU eviction
+import { CONFIG } from '../config.js';
+import { IndexedDBStore } from './IndexedDBStore.js';
+
+export class CacheService {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes ?? CONFIG.CACHE.MAX_BYTES;
+        this.maxEntries = options.maxEntries ?? CONFIG.CACHE.MAX_ENTRIES;
+        this.records = new IndexedDBStore({
+            dbName: options.dbName || CONFIG.CACHE.DB_NAME,
+            storeName: 'entries',
+            keyPath: 'key',
+            indexedDB: options.indexedDB ?? globalThis.indexedDB
+        });
+
+        this.totalBytes = 0;
+        this.totalEntries = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.ready = null;
+    }
+
+    // Totals are counted once, before the first read or write
+    init() {
+        if (!this.ready) {
+            this.ready = this.recountTotals();
+        }
+        return this.ready;
+    }
+
+    // Returns the cached value, or undefined when missing or expired.
+    // allowStale returns expired values too, for when the network is down.
+    async get(key, { allowStale = false } = {}) {
+        await this.init();
+
+        const record = await this.readRecord(key);
+        if (!record || (!allowStale && record.expiresAt < Date.now())) {
+            this.misses++;
+            return undefined;
+        }
+
+        this.hits++;
+        record.lastAccess = Date.now();
+        await this.writeRecord(record);
+
+        return record.value;
+    }
+
+    // Keys are namespaced 'type:...', e.g. 'search:en:DUNE' or 'image:https://...'
+    async set(key, value, ttl, type = key.split(':')[0]) {
+        await this.init();
+
+        const previous = await this.readRecord(key);
+        const size = this.estimateSize(value);
+        const now = Date.now();
+
+        await this.writeRecord({ key, value, type, size, expiresAt: now + ttl, lastAccess: now });
+
+        this.totalBytes += size - (previous?.size || 0);
+        this.totalEntries += previous ? 0 : 1;
+
+        await this.evict();
+    }
+
+    async delete(key) {
+        await this.init();
+
+        const record = await this.readRecord(key);
+        if (!record) return false;
+
+        await this.deleteRecord(key);
+        this.totalBytes -= record.size;
+        this.totalEntries--;
+        return true;
+    }
+
+    // Clears everything, or only entries of one type ('search', 'details', 'image'...)
+    async clear(type = null) {
+        await this.init();
+
+        if (!type) {
+            await this.records.clear();
+            this.totalBytes = 0;
+            this.totalEntries = 0;
+            return;
+        }
+
+        const records = await this.readAllRecords();
+        for (const record of records.filter(entry => entry.type === type)) {
+            await this.delete(record.key);
+        }
+    }
+
+    async getStats() {
+        await this.init();
+
+        const records = await this.readAllRecords();
+        const now = Date.now();
+        const byType = {};
+
+        records.forEach(record => {
+            const stats = byType[record.type] || (byType[record.type] = { entries: 0, bytes: 0, expired: 0 });
+            stats.entries++;
+            stats.bytes += record.size;
+            if (record.expiresAt < now) stats.expired++;
+        });
+
+        return {
+            storage: this.records.storage,
+            entries: this.totalEntries,
+            bytes: this.totalBytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            hits: this.hits,
+            misses: this.misses,
+            byType
+        };
+    }
+
+    // Lists keys with their type, size and expiry (values left out)
+    async inspect() {
+        await this.init();
+
+        const records = await this.readAllRecords();
+        return records.map(({ key, type, size, expiresAt, lastAccess }) => ({
+            key,
+            type,
+            size,
+            expiresAt: new Date(expiresAt).toISOString(),
+            lastAccess: new Date(lastAccess).toISOString()
+        }));
+    }
+
+    // Expired entries go first, then least recently used until under both limits
+    async evict() {
+        if (this.totalBytes <= this.maxBytes && this.totalEntries <= this.maxEntries) return;
+
+        const records = await this.readAllRecords();
+        const now = Date.now();
+        records.sort((a, b) => {
+            const aExpired = a.expiresAt < now;
+            const bExpired = b.expiresAt < now;
+            if (aExpired !== bExpired) return aExpired ? -1 : 1;
+            return a.lastAccess - b.lastAccess;
+        });
+
+        let evicted = 0;
+        for (const record of records) {
+            if (this.totalBytes <= this.maxBytes && this.totalEntries <= this.maxEntries) break;
+            await this.delete(record.key);
+            evicted++;
+        }
+
+        console.log(`🧹 Evicted ${evicted} cache entries`);
+    }
+
+    estimateSize(value) {
+        if (typeof Blob !== 'undefined' && value instanceof Blob) {
+            return value.size;
+        }
+        // JS strings are UTF-16, so two bytes per character
+        return (JSON.stringify(value)?.length || 0) * 2;
+    }
+
+    async recountTotals() {
+        const records = await this.readAllRecords();
+        this.totalEntries = records.length;
+        this.totalBytes = records.reduce((total, record) => total + record.size, 0);
+    }
+
+    readRecord(key) {
+        return this.records.get(key);
+    }
+
+    writeRecord(record) {
+        return this.records.put(record);
+    }
+
+    deleteRecord(key) {
+        return this.records.delete(key);
+    }
+
+    readAllRecords() {
+        return this.records.getAll();
+    }
+}
@@ -0,0 +1,110 @@
+// src/services/IndexedDBStore.js - One IndexedDB object store, with an in-memory fallback
+
+// Wraps an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Records live in IndexedDB when it opens, and in a Map for the session when
+// it doesn't (private mode, old browsers), so callers never have to check.
+// Options: dbName, storeName, keyPath, autoIncrement (numbered keys) and
+// indexedDB (for tests).
+export class IndexedDBStore {
+    constructor({ dbName, storeName, keyPath, autoIncrement = false, indexedDB = globalThis.indexedDB }) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this.autoIncrement = autoIncrement;
+        this.indexedDB = indexedDB;
+
+        this.db = null;
+        this.memory = new Map();
+        this.nextMemoryKey = 1;
+        this.ready = null;
+    }
+
+    get storage() {
+        return this.db ? 'indexeddb' : 'memory';
+    }
+
+    // Opens the database once; every other method awaits this first
+    open() {
+        if (!this.ready) {
+            this.ready = this.openDatabase()
+                .then(db => {
+                    this.db = db;
+                })
+                .catch(error => {
+                    console.warn(`⚠️ IndexedDB unavailable, keeping ${this.dbName} in memory only:`, error?.message || error);
+                    this.db = null;
+                });
+        }
+        return this.ready;
+    }
+
+    async openDatabase() {
+        if (!this.indexedDB) {
+            throw new Error('IndexedDB not supported');
+        }
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName, { keyPath: this.keyPath, autoIncrement: this.autoIncrement });
+        };
+
+        return promisify(request);
+    }
+
+    transaction(mode) {
+        return this.db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    async get(key) {
+        await this.open();
+        if (!this.db) return this.memory.get(key);
+        return promisify(this.transaction('readonly').get(key));
+    }
+
+    async getAll() {
+        await this.open();
+        if (!this.db) return [...this.memory.values()];
+        return promisify(this.transaction('readonly').getAll());
+    }
+
+    // Inserts or replaces a record and resolves its key, which is generated
+    // for autoIncrement stores when the record has none
+    async put(record) {
+        await this.open();
+        if (this.db) {
+            return promisify(this.transaction('readwrite').put(record));
+        }
+
+        let key = record[this.keyPath];
+        if (key === undefined && this.autoIncrement) {
+            key = this.nextMemoryKey++;
+        }
+        this.memory.set(key, { ...record, [this.keyPath]: key });
+        return key;
+    }
+
+    async delete(key) {
+        await this.open();
+        if (!this.db) {
+            this.memory.delete(key);
+            return;
+        }
+        await promisify(this.transaction('readwrite').delete(key));
+    }
+
+    async clear() {
+        await this.open();
+        if (!this.db) {
+            this.memory.clear();
+            return;
+        }
+        await promisify(this.transaction('readwrite').clear());
+    }
+}
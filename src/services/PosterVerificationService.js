@@ -0,0 +1,123 @@
+// src/services/PosterVerificationService.js - Compares the scanned poster with TMDb artwork
+import { CONFIG } from '../config.js';
+import { HASH_WIDTH, HASH_HEIGHT, computeDHash, hammingDistance } from '../image-hash.js';
+
+const HISTOGRAM_BINS = 4; // Per channel, so 64 colour buckets
+const SAMPLE_SIZE = 32;   // Histograms are taken from a 32x32 thumbnail
+
+export class PosterVerificationService {
+    constructor(tmdbService) {
+        this.tmdbService = tmdbService;
+        this.signatures = new Map(); // Poster URL -> signature, so rescans skip the download
+    }
+
+    // Posters are roughly 2:3, so around the tap we take the tallest 2:3
+    // box that fits in most of the frame. `point` is the tap in 0..1 frame units.
+    estimatePosterRegion(canvas, point) {
+        const height = canvas.height * CONFIG.VISUAL.REGION_HEIGHT;
+        const width = Math.min(height * 2 / 3, canvas.width);
+        const x = Math.min(Math.max(point.x * canvas.width - width / 2, 0), canvas.width - width);
+        const y = Math.min(Math.max(point.y * canvas.height - height / 2, 0), canvas.height - height);
+
+        return { x, y, width, height };
+    }
+
+    // Adds visualScore (0..1, or null when there's no artwork to compare)
+    // to the first few matches, folds it into their score and re-sorts.
+    // The text score is kept as textScore.
+    async verify(canvas, region, matches) {
+        const frameSignature = this.getSignature(canvas, region);
+        const checked = matches.slice(0, CONFIG.VISUAL.CANDIDATES);
+
+        const visualScores = await Promise.all(checked.map(async match => {
+            if (!match.poster_path) return null;
+            try {
+                const posterSignature = await this.getPosterSignature(match.poster_path);
+                return this.compareSignatures(frameSignature, posterSignature);
+            } catch (error) {
+                console.warn('⚠️ Could not compare poster for', match.title || match.name, error.message);
+                return null;
+            }
+        }));
+
+        const verified = matches.map((match, index) => {
+            const visualScore = index < checked.length ? visualScores[index] : null;
+            // Unchecked matches get a neutral 0.5 so they are neither helped nor hurt
+            const bonus = CONFIG.VISUAL.WEIGHT * ((visualScore ?? 0.5) - 0.5);
+            return { ...match, textScore: match.score, visualScore, score: match.score + bonus };
+        });
+
+        verified.sort((a, b) => b.score - a.score);
+
+        verified.slice(0, checked.length).forEach(match => {
+            const visual = match.visualScore === null ? 'n/a' : `${Math.round(match.visualScore * 100)}%`;
+            console.log(`🖼️ "${match.title || match.name}": text ${match.textScore.toFixed(2)}, poster ${visual}`);
+        });
+
+        return verified;
+    }
+
+    isLowConfidence(visualScore) {
+        return visualScore !== null && visualScore !== undefined && visualScore < CONFIG.VISUAL.LOW_CONFIDENCE;
+    }
+
+    async getPosterSignature(posterPath) {
+        const url = `${CONFIG.TMDB.IMAGE_BASE_URL}/${CONFIG.TMDB.IMAGE_SIZES.THUMBNAIL}${posterPath}`;
+        if (this.signatures.has(url)) {
+            return this.signatures.get(url);
+        }
+
+        const image = await this.tmdbService.loadImage(url);
+        const canvas = document.createElement('canvas');
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+
+        const signature = this.getSignature(canvas, { x: 0, y: 0, width: canvas.width, height: canvas.height });
+        this.signatures.set(url, signature);
+        return signature;
+    }
+
+    // { hash: 64-bit dHash as BigInt, histogram: normalised colour histogram }
+    getSignature(canvas, region) {
+        return {
+            hash: computeDHash(this.sample(canvas, region, HASH_WIDTH, HASH_HEIGHT)),
+            histogram: this.computeHistogram(this.sample(canvas, region, SAMPLE_SIZE, SAMPLE_SIZE))
+        };
+    }
+
+    sample(canvas, region, width, height) {
+        const scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        const ctx = scratch.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+
+    computeHistogram(pixels) {
+        const histogram = new Float32Array(HISTOGRAM_BINS ** 3);
+        const shift = 8 - Math.log2(HISTOGRAM_BINS);
+        const pixelCount = pixels.length / 4;
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            const bin = ((pixels[i] >> shift) * HISTOGRAM_BINS + (pixels[i + 1] >> shift)) * HISTOGRAM_BINS + (pixels[i + 2] >> shift);
+            histogram[bin] += 1 / pixelCount;
+        }
+
+        return histogram;
+    }
+
+    // Colour survives camera angle and glare better than structure does,
+    // so the histogram carries more weight than the hash
+    compareSignatures(a, b) {
+        const hashSimilarity = 1 - hammingDistance(a.hash, b.hash) / 64;
+
+        let histogramSimilarity = 0;
+        for (let i = 0; i < a.histogram.length; i++) {
+            histogramSimilarity += Math.min(a.histogram[i], b.histogram[i]);
+        }
+
+        return CONFIG.VISUAL.HASH_WEIGHT * hashSimilarity + (1 - CONFIG.VISUAL.HASH_WEIGHT) * histogramSimilarity;
+    }
+}
@@ -0,0 +1,50 @@
+// src/services/PreferencesService.js - User settings persisted in localStorage
+import { CONFIG } from '../config.js';
+
+export class PreferencesService {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || CONFIG.PREFERENCES.STORAGE_KEY;
+        this.storage = options.storage ?? globalThis.localStorage;
+        this.listeners = new Set();
+        this.values = {
+            language: CONFIG.PREFERENCES.DEFAULT_LANGUAGE,
+            region: CONFIG.PREFERENCES.DEFAULT_REGION,
+            cardMode: CONFIG.PREFERENCES.DEFAULT_CARD_MODE,
+            ...this.load()
+        };
+    }
+
+    load() {
+        try {
+            const stored = this.storage?.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            // Corrupt JSON or storage blocked (private mode): start from defaults
+            console.warn('⚠️ Could not read preferences:', error.message);
+            return {};
+        }
+    }
+
+    get(key) {
+        return key ? this.values[key] : { ...this.values };
+    }
+
+    set(changes) {
+        const previous = this.values;
+        this.values = { ...this.values, ...changes };
+
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.warn('⚠️ Could not save preferences:', error.message);
+        }
+
+        this.listeners.forEach(listener => listener(this.get(), previous));
+    }
+
+    // Returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+}
@@ -0,0 +1,105 @@
+// src/services/ScanHistoryService.js - Every successful scan, kept in IndexedDB for the history drawer
+import { CONFIG } from '../config.js';
+import { IndexedDBStore } from './IndexedDBStore.js';
+
+// Columns of the CSV export, in order. The thumbnail is JSON-only.
+const CSV_COLUMNS = [
+    ['timestamp', entry => new Date(entry.timestamp).toISOString()],
+    ['title', entry => entry.title],
+    ['year', entry => entry.year],
+    ['media_type', entry => entry.mediaType],
+    ['tmdb_id', entry => entry.tmdbId],
+    ['confidence', entry => entry.confidence],
+    ['poster_match', entry => entry.visualScore],
+    ['ocr_text', entry => entry.ocrText]
+];
+
+function normalize(text) {
+    return (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Quotes a CSV field when it holds a comma, quote or line break. Text
+// starting with = + - @ (or a tab/CR) would run as a formula in a
+// spreadsheet, so it gets a leading ' first; numbers are left alone.
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Entries are { id, timestamp, title, year, mediaType, tmdbId, ocrText,
+// confidence, visualScore, thumbnail }, with the thumbnail as a JPEG data URL
+export class ScanHistoryService {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? CONFIG.HISTORY.MAX_ENTRIES;
+        this.scans = new IndexedDBStore({
+            dbName: options.dbName || CONFIG.HISTORY.DB_NAME,
+            storeName: 'scans',
+            keyPath: 'id',
+            autoIncrement: true,
+            indexedDB: options.indexedDB ?? globalThis.indexedDB
+        });
+    }
+
+    // Records a scan and returns it with its id. The oldest entries are
+    // dropped past maxEntries.
+    async add(entry) {
+        const record = { timestamp: Date.now(), ...entry };
+        record.id = await this.scans.put(record);
+
+        await this.prune();
+        return record;
+    }
+
+    get(id) {
+        return this.scans.get(id);
+    }
+
+    // Newest first. `query` matches the title or the text read from the poster,
+    // ignoring case and accents.
+    async list(query = '') {
+        const entries = await this.scans.getAll();
+        entries.sort((a, b) => b.timestamp - a.timestamp || b.id - a.id);
+
+        const needle = normalize(query.trim());
+        if (!needle) return entries;
+        return entries.filter(entry => normalize(entry.title).includes(needle) || normalize(entry.ocrText).includes(needle));
+    }
+
+    delete(id) {
+        return this.scans.delete(id);
+    }
+
+    async prune() {
+        const entries = await this.list();
+        const excess = entries.slice(this.maxEntries);
+        for (const entry of excess) {
+            await this.delete(entry.id);
+        }
+    }
+
+    // A small JPEG of the scanned frame, as a data URL
+    createThumbnail(canvas) {
+        const scale = Math.min(1, CONFIG.HISTORY.THUMBNAIL_WIDTH / canvas.width);
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = Math.round(canvas.width * scale);
+        thumbnail.height = Math.round(canvas.height * scale);
+        thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+        return thumbnail.toDataURL('image/jpeg', CONFIG.HISTORY.THUMBNAIL_QUALITY);
+    }
+
+    toJSON(entries) {
+        return JSON.stringify(entries.map(entry => ({
+            ...entry,
+            timestamp: new Date(entry.timestamp).toISOString()
+        })), null, 2);
+    }
+
+    toCSV(entries) {
+        const header = CSV_COLUMNS.map(([name]) => name).join(',');
+        const rows = entries.map(entry => CSV_COLUMNS.map(([, value]) => csvField(value(entry))).join(','));
+        return [header, ...rows].join('\r\n');
+    }
+}
@@ -1,42 +1,120 @@
-// src/services/TMDbService.js - Fixed for async API key loading
+// src/services/TMDbService.js - TMDb lookups through the server-side proxy
 import { CONFIG } from '../config.js';
+import { CacheService } from './CacheService.js';
+import { PreferencesService } from './PreferencesService.js';
+
+// TMDb's release_dates types
+const RELEASE_TYPES = {
+    PREMIERE: 1,
+    THEATRICAL_LIMITED: 2,
+    THEATRICAL: 3,
+    DIGITAL: 4,
+    PHYSICAL: 5,
+    TV: 6
+};
 
 export class TMDbService {
-    constructor() {
-        this.baseUrl = CONFIG.TMDB.BASE_URL;
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || (CONFIG.TMDB.USE_MOCK ? CONFIG.TMDB.MOCK_BASE_URL : CONFIG.TMDB.BASE_URL);
         this.imageBaseUrl = `${CONFIG.TMDB.IMAGE_BASE_URL}/${CONFIG.TMDB.IMAGE_SIZES.POSTER}`;
-        this.cache = new Map();
-        this.rateLimiter = {
-            requests: 0,
-            resetTime: Date.now() + 10000,
-            maxRequestsPer10Sec: 40
-        };
-        this.apiKey = null;
+        this.cache = options.cache || new CacheService();
+        this.preferences = options.preferences || new PreferencesService();
+        this.genres = { movie: new Map(), tv: new Map() }; // Filled by loadGenres()
+        this.creditCheckLimit = 3; // Results whose credits are compared with poster hints
+        this.ambiguityMargin = 0.05; // Score gap below which the user picks the match
+        this.yearFilterBonus = 1; // Keeps results from the poster's year ahead of the rest
+        
+        this.preferences.onChange((current, previous) => {
+            if (current.language !== previous.language) {
+                this.loadGenres();
+            }
+        });
     }
     
-    async getApiKey() {
-        if (this.apiKey) return this.apiKey;
+    get language() {
+        return this.preferences.get('language');
+    }
+    
+    // The proxy adds the API key and applies TMDb's rate limit for all clients
+    async request(path, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const url = `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
         
-        // Try to get from CONFIG first
-        if (CONFIG.API_KEYS.TMDB) {
-            this.apiKey = CONFIG.API_KEYS.TMDB;
-            return this.apiKey;
+        return fetch(url);
+    }
+    
+    // Serves fresh cache entries, then the network, then expired entries if
+    // the network fails, so a poster scanned before still resolves offline
+    async cached(key, ttl, load) {
+        const fresh = await this.cache.get(key);
+        if (fresh !== undefined) {
+            console.log('💾 Cache hit:', key);
+            return fresh;
         }
         
-        // If not available, fetch from server
+        let value;
         try {
-            const response = await fetch('/api/env');
-            if (response.ok) {
-                const data = await response.json();
-                this.apiKey = data.VITE_TMDB_API_KEY;
-                console.log('✅ TMDb API key loaded');
-                return this.apiKey;
-            }
+            value = await load();
+        } catch (error) {
+            const stale = await this.cache.get(key, { allowStale: true });
+            if (stale === undefined) throw error;
+            
+            console.warn('📴 TMDb unreachable, using expired cache entry:', key);
+            return stale;
+        }
+        
+        // A full or blocked store shouldn't fail the lookup itself
+        try {
+            await this.cache.set(key, value, ttl);
         } catch (error) {
-            console.error('❌ Failed to load API key:', error);
+            console.warn('⚠️ Could not cache', key, error.message);
         }
         
-        throw new Error('TMDb API key not available');
+        return value;
+    }
+    
+    // Object URL for a TMDb image, served from the cache when possible.
+    // Falls back to the remote URL so the browser can still try.
+    async getImageUrl(url) {
+        if (!url) return null;
+        
+        try {
+            const blob = await this.cached(`image:${url}`, CONFIG.CACHE.TTL.IMAGE, async () => {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load image: ${response.status}`);
+                }
+                return response.blob();
+            });
+            return URL.createObjectURL(blob);
+        } catch (error) {
+            return url;
+        }
+    }
+
+    // Loads a TMDb image into `image` (a new <img> by default) and resolves it
+    // once decoded. Cached images come back as object URLs from getImageUrl;
+    // they are released here as soon as the image has loaded or failed.
+    async loadImage(url, image = new Image()) {
+        const src = await this.getImageUrl(url);
+
+        return new Promise((resolve, reject) => {
+            const release = () => {
+                if (src.startsWith('blob:')) URL.revokeObjectURL(src);
+            };
+            // Needed to read pixels (poster verification, WebGL textures) when
+            // the remote URL is used instead of a cached blob
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                release();
+                resolve(image);
+            };
+            image.onerror = () => {
+                release();
+                reject(new Error(`Image failed to load: ${url}`));
+            };
+            image.src = src;
+        });
     }
 
     // Add the missing cleanTitle method that app.js expects
@@ -46,129 +124,364 @@ export class TMDbService {
         }
         
         return query
-            .replace(/[^\w\s:-]/g, ' ')  // Remove special chars except letters, numbers, spaces, colons, hyphens
+            .replace(/[^\p{L}\p{M}\p{N}\s:'’-]/gu, ' ')  // Remove special chars except letters (any script), numbers, spaces, colons, apostrophes, hyphens
             .replace(/\s+/g, ' ')        // Replace multiple spaces with single space
             .trim()                      // Remove leading/trailing spaces
             .toUpperCase();              // Convert to uppercase for consistency
     }
 
-    async searchMovie(query) {
-        console.log('🎬 Searching for movie/TV:', `"${query}"`);
+    // hints: { year, director, actors, language } read from the poster, all optional
+    async searchMovie(query, hints = {}) {
+        const matches = await this.searchMovieCandidates(query, hints);
+        
+        if (matches.length === 0) {
+            return null;
+        }
+        
+        return this.pickMatch(matches, hints);
+    }
+    
+    // Returns every result for the query, best first, each with a score and
+    // media_type ('movie' or 'tv') so callers can offer alternatives
+    async searchMovieCandidates(query, hints = {}) {
+        console.log('🎬 Searching for movie/TV:', `"${query}"`, hints.year ? `(year hint ${hints.year})` : '');
         
         const cleanQuery = this.cleanTitle(query);
         
         if (!cleanQuery) {
             console.log('❌ Empty query after cleaning');
-            return null;
+            return [];
         }
 
         try {
-            const apiKey = await this.getApiKey();
-            await this.checkRateLimit();
+            // One multi search covers films and series, so a show is found even
+            // when a film shares its name. Searching in the poster's language
+            // returns the titles as printed on it; otherwise use the user's.
+            const language = hints.language && !hints.language.startsWith('en')
+                ? hints.language
+                : this.language;
             
-            // Try movie search first
-            console.log('🎭 Trying movie search...');
-            let searchUrl = `${this.baseUrl}/search/movie?api_key=${apiKey}&query=${encodeURIComponent(cleanQuery)}`;
-            let response = await fetch(searchUrl);
-            
-            if (!response.ok) {
-                console.error('❌ TMDb API error:', response.status, response.statusText);
-                throw new Error(`TMDb API error: ${response.status}`);
+            // Cached before ranking, since the ranking depends on each scan's hints
+            const results = await this.cached(`search:${language}:${cleanQuery}`, CONFIG.CACHE.TTL.SEARCH, async () => {
+                const found = await this.fetchSearch('/search/multi', { query: cleanQuery, language });
+                // Multi search also returns people
+                return found.filter(result => result.media_type === 'movie' || result.media_type === 'tv');
+            });
+
+            // Multi search can't filter by year, so a poster's year also gets
+            // the year-filtered searches, whose results go first
+            const yearResults = hints.year
+                ? await this.cached(`search:${language}:${hints.year}:${cleanQuery}`, CONFIG.CACHE.TTL.SEARCH, async () => {
+                    const [movies, shows] = await Promise.all([
+                        this.fetchSearch('/search/movie', { query: cleanQuery, language, year: hints.year }),
+                        this.fetchSearch('/search/tv', { query: cleanQuery, language, first_air_date_year: hints.year })
+                    ]);
+                    return [
+                        ...movies.map(result => ({ ...result, media_type: 'movie' })),
+                        ...shows.map(result => ({ ...result, media_type: 'tv' }))
+                    ];
+                })
+                : [];
+
+            const isYearResult = result => yearResults.some(entry => entry.id === result.id && entry.media_type === result.media_type);
+            const otherResults = results.filter(result => !isYearResult(result));
+
+            if (yearResults.length === 0 && otherResults.length === 0) {
+                console.log('❌ No results found for:', `"${cleanQuery}"`);
+                return [];
             }
 
-            let data = await response.json();
+            if (yearResults.length > 0) {
+                console.log(`🗓️ ${yearResults.length} result(s) from ${hints.year}`);
+            }
 
-            // If no movie results, try TV search
-            if (!data.results || data.results.length === 0) {
-                console.log('📺 No movies found, trying TV search...');
-                await this.checkRateLimit();
+            // Other years still follow, since poster years can be re-release
+            // or copyright dates. The bonus keeps the order through later
+            // re-sorts (poster verification) and the ambiguity check.
+            return [
+                ...this.rankResults(yearResults, cleanQuery, hints)
+                    .map(result => ({ ...result, score: result.score + this.yearFilterBonus })),
+                ...this.rankResults(otherResults, cleanQuery, hints)
+            ];
+            
+        } catch (error) {
+            console.error('❌ TMDb search failed:', error.message);
+            throw error;
+        }
+    }
+    
+    // The results of one TMDb search request
+    async fetchSearch(path, params) {
+        const response = await this.request(path, params);
+
+        if (response.status === 429) {
+            console.warn('⏳ TMDb rate limit hit, Retry-After:', response.headers.get('Retry-After'));
+            throw new Error('Movie database is busy - try again in a few seconds');
+        }
+
+        if (!response.ok) {
+            console.error('❌ TMDb API error:', response.status, response.statusText);
+            throw new Error(`TMDb API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.results || [];
+    }
+    
+    // Turns a ranked list into the card data for its best entry
+    async pickMatch(matches, hints = {}) {
+        // Get full details, using the poster credits to choose between
+        // remakes and same-name titles
+        const details = await this.pickByCredits(matches, hints);
+        const kind = details.media_type === 'tv' ? 'TV show' : 'movie';
+        console.log(`✅ Found ${kind}:`, details.title, `(${details.release_date?.substring(0, 4) || 'Unknown year'})`);
+        return details;
+    }
+    
+    // Card data for one specific entry, e.g. one the user picked
+    async getMatchDetails(match) {
+        return match.media_type === 'tv'
+            ? this.getTVDetails(match.id)
+            : this.getMovieDetails(match.id);
+    }
+    
+    // Where to watch a title in the user's region, from TMDb's JustWatch data:
+    // { region, link, stream, free, rent, buy }, each a list of
+    // { id, name, logo } in TMDb's display order. Null when nothing is listed.
+    async getWatchProviders(match) {
+        const mediaType = match.media_type === 'tv' ? 'tv' : 'movie';
+        const region = this.preferences.get('region');
+        
+        try {
+            return await this.cached(`providers:${mediaType}:${region}:${match.id}`, CONFIG.CACHE.TTL.PROVIDERS, async () => {
+                const response = await this.request(`/${mediaType}/${match.id}/watch/providers`);
+                
+                if (!response.ok) {
+                    throw new Error(`Failed to get watch providers: ${response.status}`);
+                }
+                
+                const data = await response.json();
+                const listing = data.results?.[region];
+                if (!listing) return null;
                 
-                searchUrl = `${this.baseUrl}/search/tv?api_key=${apiKey}&query=${encodeURIComponent(cleanQuery)}`;
-                response = await fetch(searchUrl);
+                const toProviders = entries => (entries || [])
+                    .sort((a, b) => a.display_priority - b.display_priority)
+                    .map(provider => ({
+                        id: provider.provider_id,
+                        name: provider.provider_name,
+                        logo: provider.logo_path
+                            ? `${CONFIG.TMDB.IMAGE_BASE_URL}/${CONFIG.TMDB.IMAGE_SIZES.LOGO}${provider.logo_path}`
+                            : null
+                    }));
                 
-                if (response.ok) {
-                    data = await response.json();
-                    
-                    if (data.results && data.results.length > 0) {
-                        const tvShow = data.results[0];
-                        console.log('✅ Found TV show:', tvShow.name, `(${tvShow.first_air_date?.substring(0, 4) || 'Unknown year'})`);
-                        
-                        // Convert TV show to movie-like format
-                        return this.formatTVShowAsMovie(tvShow);
+                return {
+                    region,
+                    link: listing.link,
+                    stream: toProviders(listing.flatrate),
+                    free: toProviders([...(listing.free || []), ...(listing.ads || [])]),
+                    rent: toProviders(listing.rent),
+                    buy: toProviders(listing.buy)
+                };
+            });
+        } catch (error) {
+            console.error('❌ Failed to get watch providers:', error.message);
+            return null;
+        }
+    }
+    
+    // Recommendations first (based on what people watched next), then
+    // similar titles (shared genres and keywords), without duplicates.
+    // Returns search-style results with media_type set, or [] on failure.
+    async getRelatedTitles(match) {
+        const mediaType = match.media_type === 'tv' ? 'tv' : 'movie';
+        const language = this.language;
+        
+        try {
+            return await this.cached(`related:${mediaType}:${language}:${match.id}`, CONFIG.CACHE.TTL.RELATED, async () => {
+                const lists = await Promise.all(['recommendations', 'similar'].map(async list => {
+                    const response = await this.request(`/${mediaType}/${match.id}/${list}`, { language });
+                    if (!response.ok) {
+                        throw new Error(`Failed to get ${list}: ${response.status}`);
                     }
-                }
-            } else {
-                const movie = data.results[0];
-                console.log('✅ Found movie:', movie.title, `(${movie.release_date?.substring(0, 4) || 'Unknown year'})`);
+                    const data = await response.json();
+                    return data.results || [];
+                }));
                 
-                // Get additional movie details
-                const detailedMovie = await this.getMovieDetails(movie.id);
-                return detailedMovie;
+                const seen = new Set([`${mediaType}:${match.id}`]);
+                return lists.flat()
+                    .map(result => ({ ...result, media_type: result.media_type || mediaType }))
+                    .filter(result => {
+                        const key = `${result.media_type}:${result.id}`;
+                        if (seen.has(key)) return false;
+                        seen.add(key);
+                        return true;
+                    })
+                    .slice(0, CONFIG.RELATED.MAX_TITLES);
+            });
+        } catch (error) {
+            console.error('❌ Failed to get related titles:', error.message);
+            return [];
+        }
+    }
+    
+    // Close scores mean the title alone can't tell the results apart.
+    // Credits read off the poster settle it without asking the user.
+    isAmbiguous(matches, hints = {}) {
+        if (matches.length < 2) return false;
+        if (hints.director || hints.actors?.length > 0) return false;
+        
+        return matches[0].score - matches[1].score < this.ambiguityMargin;
+    }
+    
+    async pickByCredits(results, hints = {}) {
+        const hasCredits = hints.director || hints.actors?.length > 0;
+        if (!hasCredits || results.length === 1) {
+            return this.getMatchDetails(results[0]);
+        }
+        
+        let best = null;
+        let bestScore = -1;
+        
+        // Details are cached, so the winner costs no extra request later
+        for (const result of results.slice(0, this.creditCheckLimit)) {
+            const details = await this.getMatchDetails(result);
+            const score = this.scoreCreditsMatch(details, hints);
+            console.log(`🎞️ Credits match for "${details.title}" (${details.release_date?.substring(0, 4) || '?'}): ${score}`);
+            
+            // Strictly greater, so TMDb's own ranking wins ties
+            if (score > bestScore) {
+                best = details;
+                bestScore = score;
             }
-
-            console.log('❌ No results found for:', `"${cleanQuery}"`);
-            return null;
+        }
+        
+        return best;
+    }
+    
+    // Director counts double: it's the strongest remake discriminator.
+    // Series have creators instead, and posters bill them the same way.
+    scoreCreditsMatch(movie, hints) {
+        let score = 0;
+        const directors = [movie.director, ...(movie.creators || [])];
+        
+        if (hints.director && directors.some(name => this.namesMatch(hints.director, name))) {
+            score += 2;
+        }
+        
+        (hints.actors || []).forEach(actor => {
+            if (movie.cast.some(castName => this.namesMatch(actor, castName))) {
+                score += 1;
+            }
+        });
+        
+        return score;
+    }
+    
+    namesMatch(posterName, tmdbName) {
+        if (!posterName || !tmdbName) return false;
+        
+        const normalize = name => name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')   // Strip accents (OCR often drops them)
+            .toLowerCase()
+            .replace(/[^\p{L}\s]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        
+        // Allow for a misread letter or two
+        return this.calculateSimilarity(normalize(posterName), normalize(tmdbName)) >= 0.85;
+    }
+    
+    async getTVDetails(tvId) {
+        try {
+            const language = this.language;
+            return await this.cached(`details:tv:${language}:${tvId}`, CONFIG.CACHE.TTL.DETAILS, async () => {
+                const response = await this.request(`/tv/${tvId}`, {
+                    language,
+                    append_to_response: 'credits,videos,content_ratings',
+                    include_video_language: this.videoLanguages(language)
+                });
+                
+                if (!response.ok) {
+                    throw new Error(`Failed to get TV details: ${response.status}`);
+                }
+                
+                const show = await response.json();
+                return this.processTVData(show, language);
+            });
             
         } catch (error) {
-            console.error('❌ TMDb search failed:', error.message);
+            console.error('❌ Failed to get TV details:', error.message);
             throw error;
         }
     }
     
-    formatTVShowAsMovie(tvShow) {
-        // Convert TV show data to movie-like format for display
+    // Same field names as processMovieData where they mean the same thing
+    // (title, release_date, cast...), so shared code can treat both alike
+    processTVData(show, language = this.language) {
+        const mainCast = show.credits?.cast?.slice(0, 5) || [];
+        
+        let genres = [];
+        if (show.genres && show.genres.length > 0) {
+            genres = show.genres.map(genre => genre.name);
+        } else if (show.genre_ids && show.genre_ids.length > 0) {
+            genres = show.genre_ids.map(id => this.getGenreName(id, 'tv')).filter(Boolean);
+        }
+        
         return {
-            id: tvShow.id,
-            title: tvShow.name,
-            original_title: tvShow.original_name,
-            overview: tvShow.overview || 'No synopsis available.',
-            release_date: tvShow.first_air_date,
-            poster_path: tvShow.poster_path ? `${this.imageBaseUrl}${tvShow.poster_path}` : null,
-            backdrop_path: tvShow.backdrop_path ? `${this.imageBaseUrl}${tvShow.backdrop_path}` : null,
-            vote_average: tvShow.vote_average || 0,
-            vote_count: tvShow.vote_count || 0,
-            runtime: null, // TV shows don't have runtime
-            original_language: tvShow.original_language,
-            genres: tvShow.genre_ids ? tvShow.genre_ids.map(id => this.getGenreName(id)).filter(Boolean) : [],
-            genre_ids: tvShow.genre_ids || [],
-            director: 'TV Series', // TV shows don't have directors
-            cast: [], // Would need separate API call for TV credits
-            popularity: tvShow.popularity,
-            adult: tvShow.adult || false,
-            budget: null,
-            revenue: null,
-            tagline: null,
-            status: 'TV Series'
+            id: show.id,
+            media_type: 'tv',
+            title: show.name,
+            original_title: show.original_name,
+            overview: show.overview || 'No synopsis available.',
+            release_date: show.first_air_date,
+            last_air_date: show.last_air_date,
+            poster_path: show.poster_path ? `${this.imageBaseUrl}${show.poster_path}` : null,
+            backdrop_path: show.backdrop_path ? `${this.imageBaseUrl}${show.backdrop_path}` : null,
+            vote_average: show.vote_average || 0,
+            vote_count: show.vote_count || 0,
+            runtime: show.episode_run_time?.[0] || null,
+            original_language: show.original_language,
+            genres: genres,
+            genre_ids: show.genre_ids || [],
+            director: null,
+            creators: (show.created_by || []).map(creator => creator.name),
+            cast: mainCast.map(actor => actor.name),
+            number_of_seasons: show.number_of_seasons || 0,
+            number_of_episodes: show.number_of_episodes || 0,
+            networks: (show.networks || []).map(network => network.name),
+            // Series only have an age rating per country, no release types
+            releases_by_region: Object.fromEntries((show.content_ratings?.results || []).map(entry =>
+                [entry.iso_3166_1, [{ type: null, date: null, certification: entry.rating || '' }]]
+            )),
+            in_production: show.in_production || false,
+            popularity: show.popularity,
+            adult: show.adult || false,
+            tagline: show.tagline || null,
+            status: show.status,  // "Returning Series", "Ended", "Canceled"...
+            ...this.pickVideos(show.videos, language)
         };
     }
     
     async getMovieDetails(movieId) {
         try {
-            const cacheKey = `details_${movieId}`;
-            if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
-            }
-            
-            const apiKey = await this.getApiKey();
-            await this.checkRateLimit();
-            
-            const url = `${this.baseUrl}/movie/${movieId}?api_key=${apiKey}&language=en-US&append_to_response=credits,genres`;
-            
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to get movie details: ${response.status}`);
-            }
-            
-            const movie = await response.json();
-            
-            // Process and format the movie data
-            const processedMovie = this.processMovieData(movie);
-            
-            // Cache the result
-            this.cache.set(cacheKey, processedMovie);
-            
-            return processedMovie;
+            const language = this.language;
+            return await this.cached(`details:movie:${language}:${movieId}`, CONFIG.CACHE.TTL.DETAILS, async () => {
+                const response = await this.request(`/movie/${movieId}`, {
+                    language,
+                    append_to_response: 'credits,videos,release_dates',
+                    include_video_language: this.videoLanguages(language)
+                });
+                
+                if (!response.ok) {
+                    throw new Error(`Failed to get movie details: ${response.status}`);
+                }
+                
+                const movie = await response.json();
+                
+                // Process and format the movie data
+                return this.processMovieData(movie, language);
+            });
             
         } catch (error) {
             console.error('❌ Failed to get movie details:', error.message);
@@ -176,7 +489,7 @@ export class TMDbService {
         }
     }
     
-    processMovieData(movie) {
+    processMovieData(movie, language = this.language) {
         // Extract director from crew
         const director = movie.credits?.crew?.find(person => person.job === 'Director');
         
@@ -188,11 +501,12 @@ export class TMDbService {
         if (movie.genres && movie.genres.length > 0) {
             genres = movie.genres.map(genre => genre.name);
         } else if (movie.genre_ids && movie.genre_ids.length > 0) {
-            genres = movie.genre_ids.map(id => this.getGenreName(id)).filter(Boolean);
+            genres = movie.genre_ids.map(id => this.getGenreName(id, 'movie')).filter(Boolean);
         }
         
         return {
             id: movie.id,
+            media_type: 'movie',
             title: movie.title,
             original_title: movie.original_title,
             overview: movie.overview || 'No synopsis available.',
@@ -212,12 +526,130 @@ export class TMDbService {
             budget: movie.budget,
             revenue: movie.revenue,
             tagline: movie.tagline,
-            status: movie.status
+            status: movie.status,
+            releases_by_region: this.processReleaseDates(movie.release_dates),
+            ...this.pickVideos(movie.videos, language)
+        };
+    }
+    
+    // { US: [{ type, date, certification }], DE: [...] } with type being
+    // TMDb's release type (see RELEASE_TYPES) and date as YYYY-MM-DD
+    processReleaseDates(releaseDates) {
+        return Object.fromEntries((releaseDates?.results || []).map(entry => [
+            entry.iso_3166_1,
+            entry.release_dates.map(release => ({
+                type: release.type,
+                date: release.release_date?.substring(0, 10) || null,
+                certification: release.certification || ''
+            }))
+        ]));
+    }
+    
+    // Release dates and age rating in the user's region (or `region`):
+    // { region, certification, theatrical, digital, physical, badge }.
+    // badge is { status: 'in_cinemas' | 'coming_soon', date } or null.
+    getLocalRelease(movieData, region = this.preferences.get('region'), today = new Date().toISOString().substring(0, 10)) {
+        const releases = movieData.releases_by_region?.[region] || [];
+        const firstOfType = (...types) => releases
+            .filter(release => types.includes(release.type) && release.date)
+            .map(release => release.date)
+            .sort()[0] || null;
+        
+        // A wide release beats a limited one; premieres and festivals don't count
+        const theatrical = firstOfType(RELEASE_TYPES.THEATRICAL) || firstOfType(RELEASE_TYPES.THEATRICAL_LIMITED);
+        const digital = firstOfType(RELEASE_TYPES.DIGITAL);
+        const physical = firstOfType(RELEASE_TYPES.PHYSICAL);
+        
+        // The rating for the cinema release is the one printed on lobby posters
+        const rated = releases.filter(release => release.certification);
+        const certification = (rated.find(release => release.type === RELEASE_TYPES.THEATRICAL) || rated[0])?.certification || null;
+        
+        let badge = null;
+        if (movieData.media_type !== 'tv' && theatrical) {
+            if (theatrical > today) {
+                badge = { status: 'coming_soon', date: theatrical };
+            } else if (this.daysBetween(theatrical, today) <= CONFIG.RELEASES.CINEMA_RUN_DAYS) {
+                badge = { status: 'in_cinemas', date: theatrical };
+            }
+        }
+        
+        return { region, certification, theatrical, digital, physical, badge };
+    }
+    
+    daysBetween(fromDate, toDate) {
+        return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / (24 * 60 * 60 * 1000));
+    }
+    
+    // Videos in the user's language, plus English and untagged ones, since
+    // many titles only have an English trailer
+    videoLanguages(language) {
+        return [...new Set([language.split('-')[0], 'en', 'null'])].join(',');
+    }
+    
+    // Trailers and teasers we can embed, best first: official trailers,
+    // then the user's language, then the most recent. `trailer` is the pick.
+    pickVideos(videos, language = this.language) {
+        const languageCode = language.split('-')[0];
+        const embeddable = (videos?.results || [])
+            .filter(video => ['YouTube', 'Vimeo'].includes(video.site))
+            .filter(video => video.type === 'Trailer' || video.type === 'Teaser');
+        
+        const rank = video => (video.type === 'Trailer' ? 4 : 0)
+            + (video.official ? 2 : 0)
+            + (video.iso_639_1 === languageCode ? 1 : 0);
+        
+        const sorted = embeddable
+            .map(video => ({
+                key: video.key,
+                site: video.site,
+                name: video.name,
+                type: video.type,
+                official: Boolean(video.official),
+                language: video.iso_639_1,
+                published_at: video.published_at,
+                rank: rank(video)
+            }))
+            .sort((a, b) => b.rank - a.rank || (b.published_at || '').localeCompare(a.published_at || ''))
+            .map(({ rank, ...video }) => video);
+        
+        return {
+            videos: sorted,
+            trailer: sorted[0] || null
         };
     }
     
-    getGenreName(genreId) {
-        return CONFIG.GENRES[genreId] || null;
+    // Movie and TV genre ids overlap only partly (TV has 10759, 10765...),
+    // so look in the matching list first
+    getGenreName(genreId, mediaType = 'movie') {
+        return this.genres[mediaType]?.get(genreId)
+            || this.genres.movie.get(genreId)
+            || this.genres.tv.get(genreId)
+            || CONFIG.GENRES[genreId]
+            || null;
+    }
+    
+    // Genre names in the user's language. Called at startup and whenever
+    // the language changes; a failed list leaves the previous names in place.
+    async loadGenres() {
+        const language = this.language;
+        
+        await Promise.all(['movie', 'tv'].map(async mediaType => {
+            try {
+                const genres = await this.cached(`genres:${mediaType}:${language}`, CONFIG.CACHE.TTL.GENRES, async () => {
+                    const response = await this.request(`/genre/${mediaType}/list`, { language });
+                    if (!response.ok) {
+                        throw new Error(`Failed to load genres: ${response.status}`);
+                    }
+                    const data = await response.json();
+                    return data.genres || [];
+                });
+                this.genres[mediaType] = new Map(genres.map(genre => [genre.id, genre.name]));
+            } catch (error) {
+                console.warn(`⚠️ Could not load ${mediaType} genres:`, error.message);
+            }
+        }));
+        
+        console.log(`🏷️ Genres loaded (${language}): ${this.genres.movie.size} movie, ${this.genres.tv.size} TV`);
     }
     
     // Keep the original method name for backward compatibility
@@ -225,31 +657,57 @@ export class TMDbService {
         return this.cleanTitle(title);
     }
     
-    findBestMatch(results, searchTitle) {
+    findBestMatch(results, searchTitle, hints = {}) {
         if (results.length === 0) return null;
         
-        const scoredResults = results.map(movie => {
-            const titleScore = this.calculateSimilarity(searchTitle.toLowerCase(), movie.title.toLowerCase());
-            const originalTitleScore = movie.original_title ? 
-                this.calculateSimilarity(searchTitle.toLowerCase(), movie.original_title.toLowerCase()) : 0;
+        const [best] = this.rankResults(results, searchTitle, hints);
+        console.log(`🎯 Best match: "${best.title || best.name}" (score: ${best.score.toFixed(2)})`);
+        
+        return best;
+    }
+    
+    // Scores each result on title similarity, popularity, votes and the
+    // poster's year, then sorts best first. TMDb's order breaks ties.
+    rankResults(results, searchTitle, hints = {}, mediaType = 'movie') {
+        const query = this.cleanTitle(searchTitle);
+        const hintYear = parseInt(hints.year, 10);
+        
+        const scoredResults = results.map((movie, index) => {
+            const title = movie.title || movie.name || '';
+            const originalTitle = movie.original_title || movie.original_name;
+            
+            const titleScore = this.calculateSimilarity(query, this.cleanTitle(title));
+            const originalTitleScore = originalTitle ?
+                this.calculateSimilarity(query, this.cleanTitle(originalTitle)) : 0;
             
-            const popularityScore = Math.min(movie.popularity / 100, 1);
-            const voteScore = Math.min(movie.vote_count / 1000, 1);
+            const popularityScore = Math.min((movie.popularity || 0) / 100, 1);
+            const voteScore = Math.min((movie.vote_count || 0) / 1000, 1);
+            
+            // A year one off still counts (late releases abroad, end-of-year
+            // premieres), which the year-filtered searches miss
+            const releaseYear = parseInt((movie.release_date || movie.first_air_date || '').substring(0, 4), 10);
+            let yearScore = 0;
+            if (hintYear && releaseYear) {
+                const yearGap = Math.abs(hintYear - releaseYear);
+                yearScore = yearGap === 0 ? 0.2 : yearGap === 1 ? 0.1 : 0;
+            }
             
             const totalScore = Math.max(titleScore, originalTitleScore) * 0.7 + 
                              popularityScore * 0.2 + 
-                             voteScore * 0.1;
+                             voteScore * 0.1 +
+                             yearScore;
             
             return {
                 ...movie,
-                score: totalScore
+                media_type: movie.media_type || mediaType,
+                score: totalScore,
+                rank: index
             };
         });
         
-        scoredResults.sort((a, b) => b.score - a.score);
-        console.log(`🎯 Best match: "${scoredResults[0].title}" (score: ${scoredResults[0].score.toFixed(2)})`);
+        scoredResults.sort((a, b) => b.score - a.score || a.rank - b.rank);
         
-        return scoredResults[0];
+        return scoredResults.map(({ rank, ...movie }) => movie);
     }
     
     calculateSimilarity(str1, str2) {
@@ -281,37 +739,20 @@ export class TMDbService {
         return maxLength === 0 ? 1 : (maxLength - matrix[str2.length][str1.length]) / maxLength;
     }
     
-    async checkRateLimit() {
-        const now = Date.now();
-        
-        if (now > this.rateLimiter.resetTime) {
-            this.rateLimiter.requests = 0;
-            this.rateLimiter.resetTime = now + 10000;
-        }
-        
-        if (this.rateLimiter.requests >= this.rateLimiter.maxRequestsPer10Sec) {
-            const waitTime = this.rateLimiter.resetTime - now;
-            console.log(`⏳ Rate limit reached, waiting ${waitTime}ms...`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-            
-            this.rateLimiter.requests = 0;
-            this.rateLimiter.resetTime = Date.now() + 10000;
-        }
-        
-        this.rateLimiter.requests++;
+    // type: 'search', 'details' or 'image'; omit to clear everything
+    async clearCache(type = null) {
+        await this.cache.clear(type);
+        console.log('🗑️ TMDb cache cleared', type ? `(${type})` : '');
     }
     
-    clearCache() {
-        this.cache.clear();
-        console.log('🗑️ TMDb cache cleared');
+    async getCacheStats() {
+        return this.cache.getStats();
     }
     
     async testConnection() {
         try {
             console.log('🔗 Testing TMDb API connection...');
-            const apiKey = await this.getApiKey();
-            const url = `${this.baseUrl}/configuration?api_key=${apiKey}`;
-            const response = await fetch(url);
+            const response = await this.request('/configuration');
             
             if (response.ok) {
                 console.log('✅ TMDb API connection successful');
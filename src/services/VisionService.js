@@ -1,9 +1,29 @@
 // Simplified Vision Service - Direct Google Vision API integration  
+import { CONFIG } from '../config.js';
+
+// Error from /api/vision carrying the HTTP status and the server's error code
+export class VisionAPIError extends Error {
+    constructor(message, { status, code = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'VisionAPIError';
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
 export class VisionService {  
     constructor() {  
         this.isInitialized = false;  
         this.retryCount = 0;  
         this.maxRetries = 3;  
+        this.token = null;
+        this.tokenExpiresAt = 0;
+        this.hasRefreshedToken = false;
+        this.lastProvider = null;
+        this.languageHints = [...CONFIG.OCR.LANGUAGE_HINTS];
+        this.imageQuality = 0.85;
+        this.maxImageDimension = 1920;
     }  
   
     async init() {  
@@ -14,9 +34,11 @@ export class VisionService {
             const testResult = await testResponse.json();  
               
             if (!testResult.visionConfigured) {  
-                throw new Error('Google Vision API credentials not configured');  
+                throw new Error('No OCR provider configured (Google Vision credentials or Tesseract)');
             }  
               
+            await this.refreshToken();
+              
             this.isInitialized = true;  
             console.log('✅ Vision Service initialized successfully');  
             return true;  
@@ -27,38 +49,143 @@ export class VisionService {
         }  
     }  
   
-    async extractText(canvas) {  
+    // Fetches a short-lived /api/vision token when the server hands them out
+    async refreshToken() {
+        const response = await fetch('/api/token');
+        if (!response.ok) {
+            throw new Error(`Token endpoint returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.token = data.token || null;
+        this.tokenExpiresAt = data.expiresAt || 0;
+
+        if (this.token) {
+            console.log('🔑 Vision token refreshed');
+        }
+    }
+
+    async getAuthHeaders() {
+        // Renew a little early so a token never expires in flight
+        if (this.token && Date.now() > this.tokenExpiresAt - 30000) {
+            await this.refreshToken();
+        }
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    // Returns the best title guess only; see extractTextDetails for candidates
+    async extractText(canvas, options = {}) {
+        const result = await this.extractTextDetails(canvas, options);
+        return result.text;
+    }
+
+    // Returns { text, fullText, provider, cached, candidates, metadata, language } where candidates
+    // are ranked title guesses with score, boundingBox and source blocks, and metadata
+    // holds the { year, director, actors } read from the rest of the poster and language
+    // the { code, script } of the title.
+    // options.focus is the tapped point as { x, y } in 0..1 of the canvas; the
+    // server then prefers text on the poster under it. options.retries overrides
+    // maxRetries, e.g. 0 for auto-scan, where a frame without text should fail fast.
+    async extractTextDetails(canvas, options = {}) {  
         if (!this.isInitialized) {  
             throw new Error('Vision Service not initialized. Call init() first.');  
         }  
-  
+
+        try {
+            return await this.attemptExtraction(canvas, options);
+        } finally {
+            // Whatever the outcome, the next scan gets its own retries and token refresh
+            this.retryCount = 0;
+            this.hasRefreshedToken = false;
+        }
+    }
+
+    // One upload; handleExtractionError calls it again for retries
+    async attemptExtraction(canvas, options) {
         try {  
             console.log('👁️ Starting text extraction...');  
-            const imageBase64 = canvas.toDataURL('image/png').split(',')[1];  
+            const imageBlob = await this.canvasToBlob(canvas);
+            console.log(`📦 Uploading ${imageBlob.type} (${Math.round(imageBlob.size / 1024)} KB)`);
               
-            const response = await this.callVisionAPI(imageBase64);  
+            const response = await this.callVisionAPI(imageBlob, options);  
               
+            this.lastProvider = response?.provider || null;
+
             if (response && response.text) {  
-                console.log(`✅ Text extracted: "${response.text}"`);  
-                this.retryCount = 0; // Reset on success  
-                return response.text;  
+                console.log(`✅ Text extracted via ${this.lastProvider}${response.cached ? ' (cached)' : ''}: "${response.text}"`);
+                return {
+                    text: response.text,
+                    fullText: response.fullText || null,
+                    provider: this.lastProvider,
+                    cached: !!response.cached,
+                    candidates: response.candidates || [],
+                    metadata: response.metadata || { year: null, director: null, actors: [] },
+                    language: response.language || null
+                };
             } else {  
                 return this.handleNoTextDetected();  
             }  
         } catch (error) {  
-            return this.handleExtractionError(error, canvas);  
+            return this.handleExtractionError(error, canvas, options);  
         }  
     }  
   
-    async callVisionAPI(imageBase64) {  
-        const response = await fetch('/api/vision', {  
+    // Compressed WebP where the browser can encode it (Safari can't), JPEG otherwise.
+    // Frames larger than maxImageDimension are scaled down first.
+    async canvasToBlob(canvas) {
+        const scale = Math.min(1, this.maxImageDimension / Math.max(canvas.width, canvas.height));
+        let source = canvas;
+
+        if (scale < 1) {
+            source = document.createElement('canvas');
+            source.width = Math.round(canvas.width * scale);
+            source.height = Math.round(canvas.height * scale);
+            source.getContext('2d').drawImage(canvas, 0, 0, source.width, source.height);
+        }
+
+        const encode = (type) => new Promise(resolve => source.toBlob(resolve, type, this.imageQuality));
+
+        const webp = await encode('image/webp');
+        if (webp && webp.type === 'image/webp') return webp;
+
+        const jpeg = await encode('image/jpeg');
+        if (!jpeg) {
+            throw new Error('Could not encode camera frame');
+        }
+        return jpeg;
+    }
+
+    // e.g. ['ja', 'en']; an empty list falls back to the server's default hints
+    setLanguageHints(languageHints) {
+        this.languageHints = [...languageHints];
+    }
+
+    async callVisionAPI(imageBlob, { focus = null } = {}) {  
+        const params = new URLSearchParams();
+        if (this.languageHints.length > 0) {
+            params.set('lang', this.languageHints.join(','));
+        }
+        if (focus) {
+            params.set('focus', `${focus.x.toFixed(3)},${focus.y.toFixed(3)}`);
+        }
+        const query = params.toString() ? `?${params}` : '';
+
+        const response = await fetch(`/api/vision${query}`, {  
             method: 'POST',  
-            headers: { 'Content-Type': 'application/json' },  
-            body: JSON.stringify({ image: imageBase64 })  
+            headers: {
+                'Content-Type': imageBlob.type,
+                ...await this.getAuthHeaders()
+            },
+            body: imageBlob  
         });  
   
         if (!response.ok) {  
-            throw new Error(`Vision API returned ${response.status}: ${response.statusText}`);  
+            const body = await response.json().catch(() => null);
+            throw new VisionAPIError(`Vision API returned ${response.status}: ${body?.error || response.statusText}`, {
+                status: response.status,
+                code: body?.code,
+                retryAfter: body?.retryAfter ?? Number(response.headers.get('Retry-After') || 0)
+            });
         }  
   
         return await response.json();  
@@ -77,24 +204,58 @@ export class VisionService {
         throw new Error(`No text detected. Try: ${randomSuggestion}`);  
     }  
   
-    async handleExtractionError(error, canvas) {  
+    async handleExtractionError(error, canvas, options = {}) {  
         console.error('❌ Vision API error:', error);  
           
-        if (this.retryCount < this.maxRetries) {  
+        // Expired or rejected token: get a fresh one and try once more
+        if (error.status === 401 && !this.hasRefreshedToken) {
+            this.hasRefreshedToken = true;
+            console.log('🔑 Vision request unauthorized, refreshing token...');
+            await this.refreshToken();
+            return this.attemptExtraction(canvas, options);
+        }
+
+        if (error.status === 401) {
+            throw new Error('Scanning is not authorized on this server. Please reload the page.');
+        }
+
+        // Retrying a rate-limited request only makes it worse
+        if (error.status === 429) {
+            const wait = this.formatRetryAfter(error.retryAfter);
+            throw new Error(error.code === 'daily_cap_reached'
+                ? `Daily scan limit reached. Try again ${wait}.`
+                : `Too many scans. Try again ${wait}.`);
+        }
+
+        // Other client errors (bad image, too large) won't succeed on retry either
+        if (error.status >= 400 && error.status < 500) {
+            throw error;
+        }
+          
+        const maxRetries = options.retries ?? this.maxRetries;
+        if (this.retryCount < maxRetries) {  
             this.retryCount++;  
-            console.log(`🔄 Retrying... (${this.retryCount}/${this.maxRetries})`);  
+            console.log(`🔄 Retrying... (${this.retryCount}/${maxRetries})`);  
             await new Promise(resolve => setTimeout(resolve, 1000 * this.retryCount));  
-            return this.extractText(canvas);  
+            return this.attemptExtraction(canvas, options);
         }  
           
-        this.retryCount = 0;  
-        throw new Error(`Vision API failed after ${this.maxRetries} attempts: ${error.message}`);  
+        throw new Error(maxRetries === 0 ? error.message : `Vision API failed after ${maxRetries} attempts: ${error.message}`);  
     }  
   
+    formatRetryAfter(seconds) {
+        if (!seconds) return 'in a moment';
+        if (seconds < 60) return `in ${seconds}s`;
+        if (seconds < 3600) return `in ${Math.ceil(seconds / 60)} min`;
+        return `in ${Math.ceil(seconds / 3600)} h`;
+    }
+
     getStatus() {  
         return {  
             initialized: this.isInitialized,  
             service: 'Google Vision API',  
+            provider: this.lastProvider,
+            authenticated: !!this.token,
             retryCount: this.retryCount  
         };  
     }  
@@ -0,0 +1,266 @@
+// src/services/XRTrackingService.js - WebXR immersive-ar session with hit-testing and anchors
+import { CONFIG } from '../config.js';
+
+// Applies a column-major 4x4 matrix to a point, returning [x, y, z, w]
+function transformPoint(m, x, y, z) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14],
+        m[3] * x + m[7] * y + m[11] * z + m[15]
+    ];
+}
+
+// The session itself is entered through A-Frame (see the `webxr` attribute
+// on the scene in index.html), so A-Frame keeps rendering while this service
+// runs its own frame loop for hit tests, anchors and camera images.
+export class XRTrackingService {
+    constructor(scene) {
+        this.scene = scene;
+        this.session = null;
+        this.referenceSpace = null;
+        this.viewerSpace = null;
+        this.glBinding = null;
+        this.view = null;          // Copied from the latest viewer pose, for projecting markers
+        this.anchors = new Map();  // XRAnchor -> position object, updated in place every frame
+        this.frameTasks = [];      // Callbacks that need the next XRFrame
+        this.onEnd = null;
+        this.onFrame = this.onFrame.bind(this);
+    }
+
+    async isSupported() {
+        if (!CONFIG.XR.ENABLED || !navigator.xr) return false;
+        try {
+            return await navigator.xr.isSessionSupported('immersive-ar');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Needs a user gesture. Rejects when the browser refuses the session or
+    // the required hit-test feature.
+    async start() {
+        await this.scene.enterAR();
+
+        const renderer = this.scene.renderer;
+        this.session = this.scene.xrSession || renderer.xr.getSession();
+        this.referenceSpace = renderer.xr.getReferenceSpace();
+        this.viewerSpace = await this.session.requestReferenceSpace('viewer');
+        this.glBinding = new XRWebGLBinding(this.session, renderer.getContext());
+
+        this.session.addEventListener('end', () => this.reset(), { once: true });
+        this.session.requestAnimationFrame(this.onFrame);
+
+        console.log('✅ WebXR session started, features:', [...(this.session.enabledFeatures || [])].join(', ') || 'unknown');
+        if (!this.hasCameraAccess) {
+            console.log('📷 No WebXR camera access, OCR frames come from the camera feed');
+        }
+    }
+
+    // Whether the optional camera-access feature was granted. Browsers that
+    // don't list enabledFeatures are given the benefit of the doubt;
+    // readCameraImage still fails cleanly when a frame has no camera image.
+    get hasCameraAccess() {
+        if (!this.session) return false;
+        const features = this.session.enabledFeatures;
+        return features ? [...features].includes('camera-access') : true;
+    }
+
+    async stop() {
+        if (!this.session) return;
+        try {
+            await this.scene.exitVR();
+        } catch (error) {
+            console.warn('⚠️ Could not end WebXR session:', error.message);
+            this.reset();
+        }
+    }
+
+    reset() {
+        const wasActive = !!this.session;
+        this.anchors.forEach((position, anchor) => anchor.delete?.());
+        this.anchors.clear();
+        const pending = this.frameTasks;
+        this.frameTasks = [];
+        pending.forEach(task => task(null, null));
+        this.session = null;
+        this.view = null;
+        this.glBinding = null;
+
+        if (wasActive) {
+            console.log('🛑 WebXR session ended');
+            this.onEnd?.();
+        }
+    }
+
+    onFrame(time, frame) {
+        if (!this.session) return;
+        this.session.requestAnimationFrame(this.onFrame);
+
+        const pose = frame.getViewerPose(this.referenceSpace);
+        if (pose) {
+            const view = pose.views[0];
+            this.view = {
+                projectionMatrix: Array.from(view.projectionMatrix),
+                viewMatrix: Array.from(view.transform.inverse.matrix)
+            };
+        }
+
+        this.anchors.forEach((position, anchor) => {
+            if (!frame.trackedAnchors?.has(anchor)) return;
+            const anchorPose = frame.getPose(anchor.anchorSpace, this.referenceSpace);
+            if (anchorPose) {
+                const { x, y, z } = anchorPose.transform.position;
+                Object.assign(position, { x, y, z });
+            }
+        });
+
+        const tasks = this.frameTasks;
+        this.frameTasks = [];
+        tasks.forEach(task => task(frame, pose));
+    }
+
+    // Runs `task` in the next frame callback and resolves with its result.
+    // An XRFrame is only usable synchronously inside its callback.
+    onNextFrame(task) {
+        return new Promise((resolve, reject) => {
+            this.frameTasks.push((frame, pose) => {
+                if (!frame) return reject(new Error('WebXR session ended'));
+                try {
+                    resolve(task(frame, pose));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    // World position where the ray through a screen point meets a real
+    // surface, or null when nothing is found in time
+    async hitTest(screenX, screenY) {
+        if (!this.session || !this.view) return null;
+
+        // Unproject the tap into a viewer-space direction (z = -1 is forward)
+        const p = this.view.projectionMatrix;
+        const ndcX = (screenX / window.innerWidth) * 2 - 1;
+        const ndcY = -(screenY / window.innerHeight) * 2 + 1;
+        const direction = { x: (ndcX + p[8]) / p[0], y: (ndcY + p[9]) / p[5], z: -1, w: 0 };
+
+        const source = await this.session.requestHitTestSource({
+            space: this.viewerSpace,
+            offsetRay: new XRRay({ x: 0, y: 0, z: 0, w: 1 }, direction)
+        });
+
+        try {
+            // Results can take a few frames while the surface is detected
+            const deadline = performance.now() + CONFIG.XR.HIT_TEST_TIMEOUT_MS;
+            while (this.session && performance.now() < deadline) {
+                const hit = await this.onNextFrame(frame => {
+                    const [result] = frame.getHitTestResults(source);
+                    const hitPose = result?.getPose(this.referenceSpace);
+                    if (!hitPose) return null;
+                    const { x, y, z } = hitPose.transform.position;
+                    return { x, y, z };
+                });
+                if (hit) return hit;
+            }
+            return null;
+        } finally {
+            source.cancel();
+        }
+    }
+
+    // Anchors `position` to the real world; the object is then kept up to date
+    // as tracking refines. Resolves null when anchors aren't supported.
+    async createAnchor(position) {
+        if (!this.session) return null;
+
+        try {
+            const anchor = await this.onNextFrame(frame => frame.createAnchor?.(
+                new XRRigidTransform({ x: position.x, y: position.y, z: position.z }),
+                this.referenceSpace
+            ));
+            if (!anchor || !this.session) {
+                anchor?.delete();
+                return null;
+            }
+            this.anchors.set(anchor, position);
+            return anchor;
+        } catch (error) {
+            // Without an anchor the hit position still holds, it just isn't refined
+            console.warn('⚠️ Could not create anchor:', error.message);
+            return null;
+        }
+    }
+
+    releaseAnchor(anchor) {
+        if (!anchor) return;
+        anchor.delete?.();
+        this.anchors.delete(anchor);
+    }
+
+    // Screen position and distance for a world position, using the latest viewer pose
+    project(position) {
+        if (!this.view) return null;
+
+        const eye = transformPoint(this.view.viewMatrix, position.x, position.y, position.z);
+        const clip = transformPoint(this.view.projectionMatrix, eye[0], eye[1], eye[2]);
+
+        return {
+            x: (clip[0] / clip[3] * 0.5 + 0.5) * window.innerWidth,
+            y: (clip[1] / clip[3] * -0.5 + 0.5) * window.innerHeight,
+            distance: Math.hypot(eye[0], eye[1], eye[2]),
+            inFront: eye[2] < 0
+        };
+    }
+
+    // The camera image of the next frame as a canvas (WebXR raw camera access)
+    async captureFrame() {
+        if (!this.session) {
+            throw new Error('No WebXR session');
+        }
+        if (!this.hasCameraAccess) {
+            throw new Error('WebXR camera access not granted');
+        }
+
+        const { width, height, pixels } = await this.onNextFrame((frame, pose) => this.readCameraImage(pose));
+
+        // WebGL rows start at the bottom of the image
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        const rowBytes = width * 4;
+        for (let row = 0; row < height; row++) {
+            const source = (height - row - 1) * rowBytes;
+            image.data.set(pixels.subarray(source, source + rowBytes), row * rowBytes);
+        }
+        ctx.putImageData(image, 0, 0);
+
+        return canvas;
+    }
+
+    // The camera texture is only valid during its frame, so it's read back here
+    readCameraImage(pose) {
+        const view = pose?.views.find(candidate => candidate.camera);
+        if (!view) {
+            throw new Error('Camera image not available');
+        }
+
+        const gl = this.scene.renderer.getContext();
+        const { width, height } = view.camera;
+        const texture = this.glBinding.getCameraImage(view.camera);
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+        gl.deleteFramebuffer(framebuffer);
+
+        return { width, height, pixels };
+    }
+}
@@ -0,0 +1,160 @@
+// test/create-app.test.js - createApp end to end, with fake OCR providers and the TMDb mock
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Jimp } from 'jimp';
+import { createApp } from '../api/create-app.js';
+
+// Recorded-style Vision response for a single-title poster
+const POSTER_RESPONSE = {
+    textAnnotations: [
+        { description: 'JAWS\nROY SCHEIDER ROBERT SHAW\n', boundingPoly: { vertices: [] } },
+        { description: 'JAWS', boundingPoly: { vertices: [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 90, y: 40 }, { x: 10, y: 40 }] } }
+    ],
+    fullTextAnnotation: { text: 'JAWS\nROY SCHEIDER ROBERT SHAW\n', pages: [{ width: 100, height: 150 }] }
+};
+
+// The server logs every step; keep the test report readable
+const log = console.log;
+before(() => {
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+});
+
+function createFakeProvider(response = POSTER_RESPONSE) {
+    const provider = {
+        name: 'fake',
+        calls: 0,
+        isAvailable: () => true,
+        detect: async () => {
+            provider.calls++;
+            return structuredClone(response);
+        }
+    };
+    return provider;
+}
+
+// Starts an app on a free port and stops it when the test ends
+async function startApp(t, { env = {}, ...options } = {}) {
+    const provider = createFakeProvider();
+    const app = createApp({
+        ocrProviders: { fake: provider },
+        env: { OCR_PROVIDER: 'fake', OCR_FALLBACK: 'none', ...env },
+        tmdbApiKey: 'test',
+        tmdbFetch: async () => { throw new Error('unexpected TMDb request'); },
+        ...options
+    });
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, provider };
+}
+
+async function createPng(color = 0x336699ff) {
+    const image = new Jimp({ width: 64, height: 64, color });
+    return image.getBuffer('image/png');
+}
+
+function postImage(baseUrl, body, headers = {}) {
+    return fetch(`${baseUrl}/api/vision`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/png', ...headers },
+        body
+    });
+}
+
+test('POST /api/vision reads the title with the configured provider', async (t) => {
+    const { baseUrl, provider } = await startApp(t);
+
+    const response = await postImage(baseUrl, await createPng());
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.provider, 'fake');
+    assert.equal(body.text, 'Jaws');
+    assert.equal(body.cached, false);
+    assert.equal(provider.calls, 1);
+});
+
+test('POST /api/vision answers 401 without a valid API key', async (t) => {
+    const { baseUrl, provider } = await startApp(t, { env: { VISION_API_KEYS: 'secret' } });
+    const image = await createPng();
+
+    const missing = await postImage(baseUrl, image);
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).code, 'unauthorized');
+
+    const wrong = await postImage(baseUrl, image, { 'X-API-Key': 'guess' });
+    assert.equal(wrong.status, 401);
+    assert.equal((await wrong.json()).code, 'invalid_api_key');
+
+    const allowed = await postImage(baseUrl, image, { 'X-API-Key': 'secret' });
+    assert.equal(allowed.status, 200);
+    assert.equal(provider.calls, 1);
+});
+
+test('POST /api/vision answers 429 with Retry-After past the per-IP limit', async (t) => {
+    const { baseUrl } = await startApp(t, { env: { VISION_RATE_LIMIT_PER_IP: '1', VISION_CACHE_TTL_MS: '0' } });
+    const image = await createPng();
+
+    assert.equal((await postImage(baseUrl, image)).status, 200);
+
+    const limited = await postImage(baseUrl, image);
+    const body = await limited.json();
+    assert.equal(limited.status, 429);
+    assert.equal(body.code, 'rate_limited');
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+});
+
+test('POST /api/vision answers 415 for images it cannot read', async (t) => {
+    const { baseUrl, provider } = await startApp(t);
+
+    const gif = await postImage(baseUrl, Buffer.from('GIF89a'), { 'Content-Type': 'image/gif' });
+    assert.equal(gif.status, 415);
+
+    const notAnImage = await postImage(baseUrl, Buffer.from('definitely not a png'));
+    assert.equal(notAnImage.status, 415);
+
+    assert.equal(provider.calls, 0);
+});
+
+test('POST /api/vision serves a repeated frame from the OCR cache', async (t) => {
+    const { baseUrl, provider } = await startApp(t);
+    const image = await createPng();
+
+    const first = await (await postImage(baseUrl, image)).json();
+    const second = await (await postImage(baseUrl, image)).json();
+
+    assert.equal(first.cached, false);
+    assert.equal(second.cached, true);
+    assert.equal(second.text, 'Jaws');
+    assert.equal(second.imageHash, first.imageHash);
+    assert.equal(provider.calls, 1);
+});
+
+test('OCR cache hits do not count against the rate limit or daily cap', async (t) => {
+    const { baseUrl, provider } = await startApp(t, { env: { VISION_RATE_LIMIT_PER_IP: '2', VISION_DAILY_CAP: '2' } });
+    const image = await createPng();
+
+    for (let i = 0; i < 4; i++) {
+        assert.equal((await postImage(baseUrl, image)).status, 200);
+    }
+    assert.equal(provider.calls, 1);
+
+    const health = await (await fetch(`${baseUrl}/api/health`)).json();
+    assert.equal(health.components.vision.limits.usedToday, 1);
+});
+
+test('the TMDb mock passes a forced 429 through with Retry-After', async (t) => {
+    const { baseUrl } = await startApp(t, { tmdbMode: 'mock' });
+
+    const response = await fetch(`${baseUrl}/api/tmdb/search/movie?query=Jaws&mock_status=429`);
+    const body = await response.json();
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('Retry-After'), '10');
+    assert.equal(body.status_code, 25);
+});